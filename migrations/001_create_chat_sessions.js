@@ -0,0 +1,40 @@
+/**
+ * Chat transcripts saved when a session ends. user_messages, bot_responses and message_metadata
+ * hold the turns of transcripts saved before chat_messages existed (see 004).
+ * Uses IF NOT EXISTS so databases created by the old initDatabase.js script are adopted as-is.
+ */
+export const up = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS chat_sessions (
+            id UUID PRIMARY KEY,
+            session_id VARCHAR(255) UNIQUE NOT NULL,
+            user_messages TEXT[] NOT NULL DEFAULT '{}',
+            bot_responses TEXT[] NOT NULL DEFAULT '{}',
+            message_metadata JSONB NOT NULL DEFAULT '[]',
+            owner_id VARCHAR(255),
+            message_count INTEGER NOT NULL DEFAULT 0,
+            started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            ended_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            duration_seconds INTEGER,
+            total_characters INTEGER DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+
+    // Columns added after the table first shipped
+    await client.query(`
+        ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS message_metadata JSONB NOT NULL DEFAULT '[]';
+        ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS owner_id VARCHAR(255);
+    `);
+
+    await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_chat_sessions_session_id ON chat_sessions(session_id);
+        CREATE INDEX IF NOT EXISTS idx_chat_sessions_ended_at ON chat_sessions(ended_at);
+        CREATE INDEX IF NOT EXISTS idx_chat_sessions_created_at ON chat_sessions(created_at);
+    `);
+};
+
+export const down = async (client) => {
+    await client.query('DROP TABLE IF EXISTS chat_sessions;');
+};
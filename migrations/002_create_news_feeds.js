@@ -0,0 +1,36 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * RSS feed registry, seeded with the default feed so a fresh install still ingests something
+ */
+export const up = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS news_feeds (
+            id UUID PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            url TEXT UNIQUE NOT NULL,
+            source VARCHAR(255) NOT NULL,
+            categories TEXT[] NOT NULL DEFAULT '{}',
+            item_limit INTEGER NOT NULL DEFAULT 50,
+            enabled BOOLEAN NOT NULL DEFAULT TRUE,
+            last_ingested_at TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+
+    await client.query(`
+        INSERT INTO news_feeds (id, name, url, source, categories, item_limit, enabled)
+        SELECT $1, 'Times of India - Top Stories', $2, 'Times of India', '{}', 50, TRUE
+        WHERE NOT EXISTS (SELECT 1 FROM news_feeds);
+    `, [
+        uuidv4(),
+        process.env.RSS_FEED_URL || 'https://timesofindia.indiatimes.com/rssfeedstopstories.cms'
+    ]);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_news_feeds_enabled ON news_feeds(enabled);');
+};
+
+export const down = async (client) => {
+    await client.query('DROP TABLE IF EXISTS news_feeds;');
+};
@@ -0,0 +1,32 @@
+/**
+ * Keyword (full-text) index mirroring the Qdrant chunk points, used by hybrid retrieval
+ */
+export const up = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS article_chunks (
+            point_id UUID PRIMARY KEY,
+            article_id UUID NOT NULL,
+            chunk_index INTEGER NOT NULL DEFAULT 0,
+            title TEXT NOT NULL DEFAULT '',
+            chunk TEXT NOT NULL DEFAULT '',
+            link TEXT,
+            source VARCHAR(255),
+            categories TEXT[] NOT NULL DEFAULT '{}',
+            published_at TIMESTAMPTZ,
+            indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            search_vector TSVECTOR GENERATED ALWAYS AS (
+                setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+                setweight(to_tsvector('english', coalesce(chunk, '')), 'B')
+            ) STORED
+        );
+    `);
+
+    await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_article_chunks_article_id ON article_chunks(article_id);
+        CREATE INDEX IF NOT EXISTS idx_article_chunks_search ON article_chunks USING GIN(search_vector);
+    `);
+};
+
+export const down = async (client) => {
+    await client.query('DROP TABLE IF EXISTS article_chunks;');
+};
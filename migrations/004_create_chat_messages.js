@@ -0,0 +1,71 @@
+/**
+ * One row per user question or assistant answer of a saved transcript, in conversation order.
+ * Assistant rows keep the cited sources, the { articleId, score } of every retrieved article,
+ * latency (total and per step) and the provider, model and prompt template that produced them.
+ */
+export const up = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS chat_messages (
+            id UUID PRIMARY KEY,
+            transcript_id UUID NOT NULL REFERENCES chat_sessions(id) ON DELETE CASCADE,
+            position INTEGER NOT NULL,
+            message_id VARCHAR(255),
+            role VARCHAR(16) NOT NULL CHECK (role IN ('user', 'assistant')),
+            content TEXT NOT NULL DEFAULT '',
+            created_at TIMESTAMPTZ,
+            sources JSONB NOT NULL DEFAULT '[]',
+            retrieved_sources JSONB NOT NULL DEFAULT '[]',
+            latency_ms INTEGER,
+            timings JSONB,
+            provider VARCHAR(100),
+            model VARCHAR(255),
+            prompt_id VARCHAR(100),
+            prompt_version INTEGER,
+            truncated BOOLEAN NOT NULL DEFAULT FALSE,
+            cached BOOLEAN NOT NULL DEFAULT FALSE,
+            correlation_id VARCHAR(255),
+            UNIQUE (transcript_id, position)
+        );
+    `);
+
+    await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_chat_messages_prompt ON chat_messages(prompt_id, prompt_version) WHERE role = 'assistant';
+    `);
+
+    // Copy transcripts saved as parallel arrays into chat_messages. Transcripts that already have
+    // messages are skipped; row IDs derive from transcript and position. Array transcripts kept
+    // no per-message timestamps, so created_at stays NULL for them.
+    await client.query(`
+        INSERT INTO chat_messages (
+            id, transcript_id, position, role, content, provider, model, prompt_id, prompt_version, correlation_id
+        )
+        SELECT
+            md5(s.id::text || ':' || m.position)::uuid,
+            s.id,
+            m.position,
+            m.role,
+            coalesce(m.content, ''),
+            CASE WHEN m.role = 'assistant' THEN m.meta->>'provider' END,
+            CASE WHEN m.role = 'assistant' THEN m.meta->>'model' END,
+            CASE WHEN m.role = 'assistant' THEN m.meta->'prompt'->>'id' END,
+            CASE WHEN m.role = 'assistant' THEN (m.meta->'prompt'->>'version')::int END,
+            m.meta->>'correlationId'
+        FROM chat_sessions s
+        CROSS JOIN LATERAL (
+            SELECT (u.ord - 1) * 2 AS position, 'user' AS role, u.content,
+                   s.message_metadata->(u.ord::int - 1) AS meta
+            FROM unnest(s.user_messages) WITH ORDINALITY AS u(content, ord)
+            UNION ALL
+            SELECT (b.ord - 1) * 2 + 1, 'assistant', b.content,
+                   s.message_metadata->(b.ord::int - 1)
+            FROM unnest(s.bot_responses) WITH ORDINALITY AS b(content, ord)
+        ) m
+        WHERE NOT EXISTS (SELECT 1 FROM chat_messages c WHERE c.transcript_id = s.id)
+        ON CONFLICT (id) DO NOTHING;
+    `);
+};
+
+// Messages saved since this migration exist only here, so rolling back loses them
+export const down = async (client) => {
+    await client.query('DROP TABLE IF EXISTS chat_messages;');
+};
@@ -0,0 +1,18 @@
+/**
+ * Full-text index over user questions and assistant answers, for GET /api/transcripts/search
+ */
+export const up = async (client) => {
+    await client.query(`
+        ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+            GENERATED ALWAYS AS (to_tsvector('english', coalesce(content, ''))) STORED;
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_chat_messages_search ON chat_messages USING GIN(search_vector);');
+};
+
+export const down = async (client) => {
+    await client.query(`
+        DROP INDEX IF EXISTS idx_chat_messages_search;
+        ALTER TABLE chat_messages DROP COLUMN IF EXISTS search_vector;
+    `);
+};
@@ -0,0 +1,44 @@
+/**
+ * Drop the parallel-array columns of chat_sessions (user_messages, bot_responses, message_metadata).
+ * Since 004 copied them into chat_messages nothing reads or writes them.
+ */
+export const up = async (client) => {
+    await client.query(`
+        ALTER TABLE chat_sessions
+            DROP COLUMN IF EXISTS user_messages,
+            DROP COLUMN IF EXISTS bot_responses,
+            DROP COLUMN IF EXISTS message_metadata;
+    `);
+};
+
+// Rebuilds the arrays from chat_messages, so reverting 004 afterwards keeps every transcript
+export const down = async (client) => {
+    await client.query(`
+        ALTER TABLE chat_sessions
+            ADD COLUMN IF NOT EXISTS user_messages TEXT[] NOT NULL DEFAULT '{}',
+            ADD COLUMN IF NOT EXISTS bot_responses TEXT[] NOT NULL DEFAULT '{}',
+            ADD COLUMN IF NOT EXISTS message_metadata JSONB NOT NULL DEFAULT '[]';
+    `);
+
+    await client.query(`
+        UPDATE chat_sessions s SET
+            user_messages = m.user_messages,
+            bot_responses = m.bot_responses,
+            message_metadata = m.message_metadata
+        FROM (
+            SELECT
+                transcript_id,
+                coalesce(array_agg(content ORDER BY position) FILTER (WHERE role = 'user'), '{}') AS user_messages,
+                coalesce(array_agg(content ORDER BY position) FILTER (WHERE role = 'assistant'), '{}') AS bot_responses,
+                coalesce(jsonb_agg(jsonb_strip_nulls(jsonb_build_object(
+                    'provider', provider,
+                    'model', model,
+                    'prompt', CASE WHEN prompt_id IS NOT NULL THEN jsonb_build_object('id', prompt_id, 'version', prompt_version) END,
+                    'correlationId', correlation_id
+                )) ORDER BY position) FILTER (WHERE role = 'assistant'), '[]') AS message_metadata
+            FROM chat_messages
+            GROUP BY transcript_id
+        ) m
+        WHERE m.transcript_id = s.id;
+    `);
+};
@@ -0,0 +1,37 @@
+import pgPool from '../src/utils/pgClient.js';
+import redisClient from '../src/utils/redisClient.js';
+import { startIngestionJob } from '../src/services/ingestionJobService.js';
+
+/**
+ * Run a news ingestion job from the command line (`npm run ingest`).
+ * Goes through the same job system and lock as POST /api/ingest-news.
+ */
+const runIngestion = async () => {
+    let exitCode = 0;
+
+    try {
+        const { started, completion, runningJobId } = await startIngestionJob({ trigger: 'cli' });
+
+        if (!started) {
+            console.error(`❌ Ingestion job ${runningJobId} is already running`);
+            exitCode = 1;
+            return;
+        }
+
+        const job = await completion;
+        console.log(JSON.stringify(job.result, null, 2));
+
+        if (job.status !== 'completed') {
+            exitCode = 1;
+        }
+    } catch (error) {
+        console.error('❌ News ingestion failed:', error.message);
+        exitCode = 1;
+    } finally {
+        await redisClient.quit();
+        await pgPool.end();
+        process.exit(exitCode);
+    }
+};
+
+runIngestion();
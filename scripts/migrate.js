@@ -0,0 +1,80 @@
+import pgPool from '../src/utils/pgClient.js';
+import { getMigrationStatus, migrateUp, migrateDown } from '../src/utils/migrator.js';
+
+const USAGE = `Usage: npm run migrate -- <command> [options]
+
+Commands:
+  status              List migrations and whether each is applied
+  up [--to N]         Apply pending migrations, up to version N
+  down [--steps N]    Revert the last N applied migrations (default 1)
+  down --to N         Revert every migration above version N (0 reverts all)`;
+
+/**
+ * Parse `--name value` options into integers
+ * @param {string[]} args - Arguments after the command
+ * @returns {Object} Options by name
+ */
+const parseOptions = (args) => {
+    const options = {};
+
+    for (let i = 0; i < args.length; i += 2) {
+        const name = args[i].replace(/^--/, '');
+        const value = Number(args[i + 1]);
+
+        if (!['to', 'steps'].includes(name) || !Number.isInteger(value) || value < 0) {
+            throw new Error(`Invalid option: ${args.slice(i, i + 2).join(' ')}`);
+        }
+        options[name] = value;
+    }
+
+    return options;
+};
+
+const formatVersion = (version) => String(version).padStart(3, '0');
+
+const printStatus = (entries) => {
+    if (entries.length === 0) {
+        console.log('No migrations found');
+        return;
+    }
+
+    entries.forEach(entry => {
+        const appliedAt = entry.appliedAt ? ` (applied ${entry.appliedAt.toISOString()}, ${entry.executionMs}ms)` : '';
+        console.log(`  [${entry.status.padEnd(7)}] ${formatVersion(entry.version)}_${entry.name}${appliedAt}`);
+    });
+};
+
+/**
+ * Run a migration command from the command line (`npm run migrate -- status|up|down`)
+ */
+const runMigrations = async () => {
+    const [command, ...args] = process.argv.slice(2);
+    let exitCode = 0;
+
+    try {
+        const options = parseOptions(args);
+
+        if (command === 'status') {
+            printStatus(await getMigrationStatus());
+        } else if (command === 'up') {
+            const applied = await migrateUp(options);
+            applied.forEach(m => console.log(`✓ Applied ${formatVersion(m.version)}_${m.name} (${m.executionMs}ms)`));
+            console.log(applied.length > 0 ? `✓ ${applied.length} migration(s) applied` : '✓ Database is up to date');
+        } else if (command === 'down') {
+            const reverted = await migrateDown(options);
+            reverted.forEach(m => console.log(`✓ Reverted ${formatVersion(m.version)}_${m.name} (${m.executionMs}ms)`));
+            console.log(`✓ ${reverted.length} migration(s) reverted`);
+        } else {
+            console.error(USAGE);
+            exitCode = 1;
+        }
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        exitCode = 1;
+    } finally {
+        await pgPool.end();
+        process.exit(exitCode);
+    }
+};
+
+runMigrations();
@@ -5,7 +5,19 @@ import cors from 'cors';
 import newsIngestionRoute from './routes/newsIngestionRoute.js';
 import retrieverRoute from './routes/retrieverRoute.js';
 import sessionRoute from './routes/sessionRoute.js';
+import feedRoute from './routes/feedRoute.js';
+import quotaRoute from './routes/quotaRoute.js';
+import healthRoute from './routes/healthRoute.js';
+import metricsRoute from './routes/metricsRoute.js';
+import { authenticate } from './middleware/auth.js';
+import { assignRequestId, runInRequestContext } from './middleware/requestContext.js';
+import { notFoundHandler, errorHandler } from './middleware/errorHandler.js';
+import { rejectDuringShutdown } from './middleware/shutdown.js';
+import logger from './utils/logger.js';
+import { parseTrustProxy } from './utils/trustProxy.js';
 import { initializeSocketIO } from './services/socketService.js';
+import { startIngestionScheduler } from './services/ingestionJobService.js';
+import { registerGracefulShutdown } from './services/shutdownService.js';
 
 dotenv.config();
 
@@ -16,22 +28,48 @@ const server = createServer(app);
 const corsOptions = {
   origin: process.env.FRONTEND_URL || "http://localhost:5173",
   methods: ["GET", "POST", "PUT", "DELETE"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-API-Key", "X-Request-Id"],
+  exposedHeaders: ["X-Request-Id", "X-Message-Id", "Retry-After"],
   credentials: true
 };
 
+// Client IPs for rate limiting come from X-Forwarded-For when running behind proxies
+const trustProxy = parseTrustProxy(process.env.TRUST_PROXY);
+if (trustProxy !== undefined) {
+  app.set('trust proxy', trustProxy);
+}
+
+app.use(assignRequestId);
 app.use(cors(corsOptions));
 app.use(express.json());
+app.use(runInRequestContext);
+// Liveness and readiness probes and the metrics endpoint sit outside /api, so orchestrators and
+// Prometheus need no API key (set METRICS_TOKEN to protect /metrics)
+app.use(healthRoute);
+app.use(metricsRoute);
+app.use('/api', rejectDuringShutdown);
+// Every API route needs an API key or JWT; admin-only routes check the role themselves
+app.use('/api', authenticate);
 app.use('/api', newsIngestionRoute);
 app.use('/api', retrieverRoute);
 app.use('/api', sessionRoute);
+app.use('/api', feedRoute);
+app.use('/api', quotaRoute);
+
+// Unmatched routes and every error end up in the same { code, message, details, requestId } envelope
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 // Initialize Socket.IO
-const io = initializeSocketIO(server);
+// Sockets read the client IP with the same trust proxy setting as req.ip
+const io = initializeSocketIO(server, { trustProxy: app.get('trust proxy fn') });
+
+// Drain generations, save socket sessions and close the pools on SIGTERM/SIGINT
+registerGracefulShutdown(server, io);
 
 const PORT = process.env.PORT || 5000;
 
 server.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-  console.log(`Socket.IO enabled for real-time chat`);
+  logger.info('Server is running', { port: PORT });
+  startIngestionScheduler();
 });
\ No newline at end of file
@@ -0,0 +1,25 @@
+import { authenticateCredential, extractCredential } from '../services/authService.js';
+import { ApiError } from '../utils/errors.js';
+
+/**
+ * Authenticate every request with an API key or JWT and attach the caller as `req.user`
+ */
+export const authenticate = (req, res, next) => {
+    const user = authenticateCredential(extractCredential(req.headers));
+    if (!user) {
+        return next(new ApiError(401, 'UNAUTHORIZED', 'Authentication required'));
+    }
+    req.user = user;
+    next();
+};
+
+/**
+ * Only let callers with one of the given roles through
+ * @param {...string} roles - Allowed roles
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return next(new ApiError(403, 'FORBIDDEN', 'Insufficient permissions'));
+    }
+    next();
+};
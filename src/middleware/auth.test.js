@@ -0,0 +1,70 @@
+import jwt from 'jsonwebtoken';
+
+process.env.API_KEYS = 'ops:ops-secret:admin,web:web-secret:user';
+process.env.JWT_SECRET = 'test-secret';
+process.env.JWT_ISSUER = 'rag-tests';
+delete process.env.JWT_AUDIENCE;
+delete process.env.AUTH_DISABLED;
+
+const { authenticate, requireRole } = await import('./auth.js');
+
+const NOW_SECONDS = Math.floor(Date.now() / 1000);
+
+// Run a middleware and return the error it passed on (undefined when it let the request through)
+const run = (middleware, req) => {
+    let passed;
+    middleware(req, {}, (error) => {
+        passed = error;
+    });
+    return passed;
+};
+
+const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+const sign = (claims, secret = 'test-secret', options = {}) => jwt.sign(claims, secret, { issuer: 'rag-tests', ...options });
+
+describe('authenticate', () => {
+    test('accepts a configured API key from X-API-Key or a bearer header', () => {
+        const req = { headers: { 'x-api-key': 'ops-secret' } };
+        expect(run(authenticate, req)).toBeUndefined();
+        expect(req.user).toEqual({ id: 'key:ops', role: 'admin', authType: 'api-key' });
+
+        const bearerReq = bearer('web-secret');
+        expect(run(authenticate, bearerReq)).toBeUndefined();
+        expect(bearerReq.user).toEqual({ id: 'key:web', role: 'user', authType: 'api-key' });
+    });
+
+    test('accepts a valid JWT and prefixes its subject', () => {
+        const req = bearer(sign({ sub: 'alice', role: 'admin' }));
+        expect(run(authenticate, req)).toBeUndefined();
+        expect(req.user).toEqual({ id: 'jwt:alice', role: 'admin', authType: 'jwt' });
+    });
+
+    test('keeps a JWT subject that looks like an API key ID apart from that key', () => {
+        const req = bearer(sign({ sub: 'key:ops' }));
+        run(authenticate, req);
+        expect(req.user).toEqual({ id: 'jwt:key:ops', role: 'user', authType: 'jwt' });
+    });
+
+    test.each([
+        ['no credential', { headers: {} }],
+        ['an unknown API key', { headers: { 'x-api-key': 'nope' } }],
+        ['an expired JWT', bearer(sign({ sub: 'alice', exp: NOW_SECONDS - 60 }))],
+        ['a JWT signed with another secret', bearer(sign({ sub: 'alice' }, 'wrong-secret'))],
+        ['a JWT from another issuer', bearer(sign({ sub: 'alice' }, 'test-secret', { issuer: 'elsewhere' }))],
+        ['an unsigned JWT', bearer(jwt.sign({ sub: 'alice', iss: 'rag-tests' }, null, { algorithm: 'none' }))],
+        ['a JWT without a subject', bearer(sign({ role: 'user' }))],
+        ['a JWT with an unknown role', bearer(sign({ sub: 'alice', role: 'root' }))]
+    ])('rejects %s with 401 UNAUTHORIZED', (description, req) => {
+        const error = run(authenticate, req);
+        expect(error).toMatchObject({ status: 401, code: 'UNAUTHORIZED' });
+        expect(req.user).toBeUndefined();
+    });
+});
+
+describe('requireRole', () => {
+    test('lets listed roles through and rejects others with 403', () => {
+        expect(run(requireRole('admin'), { user: { id: 'key:ops', role: 'admin' } })).toBeUndefined();
+        expect(run(requireRole('admin'), { user: { id: 'key:web', role: 'user' } })).toMatchObject({ status: 403, code: 'FORBIDDEN' });
+        expect(run(requireRole('admin'), {})).toMatchObject({ status: 403 });
+    });
+});
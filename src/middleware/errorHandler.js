@@ -0,0 +1,32 @@
+import { ApiError, toApiError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Turn requests no route matched into a 404 error
+ */
+export const notFoundHandler = (req, res, next) => {
+    next(new ApiError(404, 'NOT_FOUND', `Route ${req.method} ${req.path} not found`));
+};
+
+/**
+ * Render every error in one envelope: `{ code, message, details, requestId }`.
+ * Unexpected errors are logged with their cause and masked as a 500; deliberate ApiErrors
+ * (including 503s from the readiness probe) carry their message back.
+ */
+export const errorHandler = (error, req, res, next) => {
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    const apiError = toApiError(error);
+    if (apiError.status >= 500 && apiError !== error) {
+        logger.error('Request failed', { method: req.method, path: req.originalUrl, error });
+    }
+
+    res.status(apiError.status).json({
+        code: apiError.code,
+        message: apiError.message,
+        details: apiError.details,
+        requestId: req.id
+    });
+};
@@ -0,0 +1,71 @@
+import rateLimit from 'express-rate-limit';
+import {
+    RATE_LIMIT_WINDOW_MS,
+    RATE_LIMIT_DIMENSIONS,
+    getRateLimit,
+    createRateLimitStore,
+    consumeDailyQuota
+} from '../services/rateLimitService.js';
+import { ApiError } from '../utils/errors.js';
+
+// Identity each dimension is counted by; requests without one (e.g. no session in the URL) are not limited on it
+const identify = {
+    ip: (req) => req.ip,
+    session: (req) => req.params.sessionId,
+    user: (req) => req.user?.id
+};
+
+/**
+ * Reject a request with a 429 in the same shape for rate limits and quotas
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ * @param {string} code - RATE_LIMITED or QUOTA_EXCEEDED
+ * @param {string} message - Error message
+ * @param {Object} details - `{ scope?, limit, max, retryAfterSeconds, retryAt }`
+ */
+const rejectRequest = (res, next, code, message, details) => {
+    res.set('Retry-After', String(details.retryAfterSeconds));
+    next(new ApiError(429, code, message, details));
+};
+
+/**
+ * Per-IP, per-session and per-user limits for a scope, enforced with shared Redis counters
+ * @param {string} scope - 'chat', 'retrieve' or 'ingest'
+ * @returns {Array} Middleware to put in front of the route handler
+ */
+export const rateLimitFor = (scope) => RATE_LIMIT_DIMENSIONS
+    .filter(dimension => getRateLimit(scope, dimension) > 0)
+    .map(dimension => rateLimit({
+        windowMs: RATE_LIMIT_WINDOW_MS,
+        limit: getRateLimit(scope, dimension),
+        standardHeaders: 'draft-7',
+        legacyHeaders: false,
+        store: createRateLimitStore(scope, dimension),
+        skip: (req) => !identify[dimension](req),
+        keyGenerator: (req) => identify[dimension](req),
+        handler: (req, res, next) => {
+            const retryAt = req.rateLimit.resetTime;
+            rejectRequest(res, next, 'RATE_LIMITED', 'Too many requests, please try again later', {
+                scope,
+                limit: dimension,
+                max: req.rateLimit.limit,
+                retryAfterSeconds: Math.max(Math.ceil((retryAt.getTime() - Date.now()) / 1000), 0),
+                retryAt: retryAt.toISOString()
+            });
+        }
+    }));
+
+/**
+ * Count the request against the caller's daily chat message quota
+ */
+export const enforceDailyQuota = async (req, res, next) => {
+    try {
+        const exceeded = await consumeDailyQuota(req.user.id);
+        if (exceeded) {
+            return rejectRequest(res, next, 'QUOTA_EXCEEDED', 'Daily message quota exceeded', exceeded);
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,39 @@
+import { v4 as uuidv4 } from 'uuid';
+import logger, { withCorrelationId } from '../utils/logger.js';
+
+// Accept a caller-supplied request ID only if it is short and printable
+const REQUEST_ID_PATTERN = /^[\w.-]{1,128}$/;
+
+/**
+ * Give every request an ID (the client's X-Request-Id, or a new UUID), echoed in the response
+ * header and in error bodies so failures can be matched to server logs, and log each request
+ * once it has been answered
+ */
+export const assignRequestId = (req, res, next) => {
+    const provided = req.get('X-Request-Id');
+    req.id = provided && REQUEST_ID_PATTERN.test(provided) ? provided : uuidv4();
+    res.set('X-Request-Id', req.id);
+
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+        logger.info('Request completed', {
+            correlationId: req.id,
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+            userId: req.user?.id
+        });
+    });
+
+    next();
+};
+
+/**
+ * Run the rest of the request under its request ID, so every log line written while handling
+ * it (retrieval, generation, session storage, transcripts) carries the same correlation ID.
+ * Mounted after the body parser, whose stream callbacks would otherwise drop the context.
+ */
+export const runInRequestContext = (req, res, next) => {
+    withCorrelationId(req.id, next);
+};
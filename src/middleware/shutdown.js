@@ -0,0 +1,14 @@
+import { isShuttingDown } from '../services/healthService.js';
+import { ApiError } from '../utils/errors.js';
+
+/**
+ * Turn away new API requests once a graceful shutdown has started. Requests already running
+ * (including SSE streams) are left to finish; keep-alive clients are told to reconnect elsewhere.
+ */
+export const rejectDuringShutdown = (req, res, next) => {
+    if (!isShuttingDown()) {
+        return next();
+    }
+    res.set('Connection', 'close');
+    next(new ApiError(503, 'SHUTTING_DOWN', 'Server is shutting down, please try again'));
+};
@@ -0,0 +1,26 @@
+import { validateSchema } from '../validation/schemas.js';
+import { ApiError } from '../utils/errors.js';
+
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+/**
+ * Validate request params, query string and body against Joi schemas. Validated values (with
+ * defaults and conversions applied) replace the originals; the first failing part is rejected
+ * with a VALIDATION_ERROR listing every problem in it.
+ * @param {Object} schemas - `{ params, query, body }`, any subset
+ */
+export const validate = (schemas) => (req, res, next) => {
+    for (const part of REQUEST_PARTS) {
+        if (!schemas[part]) {
+            continue;
+        }
+
+        const { value, error } = validateSchema(schemas[part], req[part] ?? {});
+        if (error) {
+            return next(new ApiError(400, 'VALIDATION_ERROR', error.message,
+                error.details.map(detail => ({ location: part, ...detail }))));
+        }
+        req[part] = value;
+    }
+    next();
+};
@@ -0,0 +1,87 @@
+import { Router } from 'express';
+import { createFeed, getFeed, listFeeds, updateFeed, deleteFeed } from '../services/feedService.js';
+import { requireRole } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { feedListSchema, feedParamsSchema, createFeedSchema, updateFeedSchema } from '../validation/schemas.js';
+import { ApiError } from '../utils/errors.js';
+
+const router = Router();
+
+// List all registered feeds
+router.get('/feeds', requireRole('admin'), validate(feedListSchema), async (req, res, next) => {
+    try {
+        const feeds = await listFeeds({ enabledOnly: req.query.enabled === true });
+        res.status(200).json({
+            message: 'Feeds retrieved successfully',
+            data: {
+                feeds,
+                count: feeds.length
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get a single feed
+router.get('/feeds/:feedId', requireRole('admin'), validate(feedParamsSchema), async (req, res, next) => {
+    try {
+        const feed = await getFeed(req.params.feedId);
+
+        if (!feed) {
+            throw new ApiError(404, 'NOT_FOUND', 'Feed not found');
+        }
+
+        res.status(200).json({ message: 'Feed retrieved successfully', data: feed });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Register a new feed
+router.post('/feeds', requireRole('admin'), validate(createFeedSchema), async (req, res, next) => {
+    try {
+        const feed = await createFeed(req.body);
+        res.status(201).json({ message: 'Feed created successfully', data: feed });
+    } catch (error) {
+        if (error.code === '23505') {
+            return next(new ApiError(409, 'CONFLICT', 'A feed with this URL already exists'));
+        }
+        next(error);
+    }
+});
+
+// Update an existing feed
+router.put('/feeds/:feedId', requireRole('admin'), validate(updateFeedSchema), async (req, res, next) => {
+    try {
+        const feed = await updateFeed(req.params.feedId, req.body);
+
+        if (!feed) {
+            throw new ApiError(404, 'NOT_FOUND', 'Feed not found');
+        }
+
+        res.status(200).json({ message: 'Feed updated successfully', data: feed });
+    } catch (error) {
+        if (error.code === '23505') {
+            return next(new ApiError(409, 'CONFLICT', 'A feed with this URL already exists'));
+        }
+        next(error);
+    }
+});
+
+// Remove a feed from the registry
+router.delete('/feeds/:feedId', requireRole('admin'), validate(feedParamsSchema), async (req, res, next) => {
+    try {
+        const deleted = await deleteFeed(req.params.feedId);
+
+        if (!deleted) {
+            throw new ApiError(404, 'NOT_FOUND', 'Feed not found');
+        }
+
+        res.status(200).json({ message: 'Feed deleted successfully', data: { feedId: req.params.feedId } });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,30 @@
+import { Router } from 'express';
+import { getLiveness, getReadiness } from '../services/healthService.js';
+import { ApiError } from '../utils/errors.js';
+
+const router = Router();
+
+// Liveness probe: answers as long as the process can serve requests, also while draining
+router.get('/health', (req, res) => {
+    res.status(200).json({ message: 'Server is alive', data: getLiveness() });
+});
+
+// Readiness probe: 503 while shutting down or when Redis, Postgres or Qdrant is unavailable
+router.get('/ready', async (req, res, next) => {
+    try {
+        const readiness = await getReadiness();
+
+        if (readiness.shuttingDown) {
+            throw new ApiError(503, 'SHUTTING_DOWN', 'Server is shutting down', readiness);
+        }
+        if (!readiness.ready) {
+            throw new ApiError(503, 'NOT_READY', 'Some dependencies are unavailable', readiness);
+        }
+
+        res.status(200).json({ message: 'Server is ready', data: readiness });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
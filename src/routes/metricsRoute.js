@@ -0,0 +1,37 @@
+import { Router } from 'express';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { register } from '../utils/metrics.js';
+import { ApiError } from '../utils/errors.js';
+
+dotenv.config();
+
+// When set, scrapers must send `Authorization: Bearer <METRICS_TOKEN>`
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+const router = Router();
+
+// Compare digests so the check takes the same time whatever the token's length or content
+const tokenMatches = (token) => crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(token).digest(),
+    crypto.createHash('sha256').update(METRICS_TOKEN).digest()
+);
+
+// Prometheus scrape endpoint: pipeline latencies, chat and ingestion counters, process metrics
+router.get('/metrics', async (req, res, next) => {
+    try {
+        if (METRICS_TOKEN) {
+            const [scheme, token] = (req.get('Authorization') || '').split(' ');
+            if (scheme !== 'Bearer' || !token || !tokenMatches(token)) {
+                throw new ApiError(401, 'UNAUTHORIZED', 'A valid metrics token is required');
+            }
+        }
+
+        res.set('Content-Type', register.contentType);
+        res.send(await register.metrics());
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -1,16 +1,75 @@
 import { Router } from 'express';
-import { ingestNewsArticles } from '../utils/newsIngestion.js';
+import { startIngestionJob, getIngestionJob, getRecentIngestionJobs } from '../services/ingestionJobService.js';
+import { requireRole } from '../middleware/auth.js';
+import { rateLimitFor } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import { ingestNewsSchema, reindexSchema, ingestionJobParamsSchema } from '../validation/schemas.js';
+import { ApiError } from '../utils/errors.js';
 
 const router = Router();
 
-// Route to trigger news ingestion
-router.post('/ingest-news', async (req, res) => {
+// Route to start a background ingestion job for all enabled feeds, or the feeds listed in `feedIds`
+router.post('/ingest-news', requireRole('admin'), rateLimitFor('ingest'), validate(ingestNewsSchema), async (req, res, next) => {
   try {
-    const result = await ingestNewsArticles();
-    res.status(200).json({ message: 'News articles ingested successfully', data: result });
+    const { feedIds } = req.body;
+
+    const { started, job, runningJobId } = await startIngestionJob({ feedIds, trigger: 'api' });
+
+    if (!started) {
+      throw new ApiError(409, 'CONFLICT', 'An ingestion job is already running', { jobId: runningJobId });
+    }
+
+    res.status(202).json({
+      message: 'News ingestion started',
+      data: { jobId: job.id, status: job.status, statusUrl: `/api/ingest-jobs/${job.id}` }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Route to start a background job that re-embeds every stored chunk with the current embedding provider
+router.post('/reindex', requireRole('admin'), rateLimitFor('ingest'), validate(reindexSchema), async (req, res, next) => {
+  try {
+    const { targetCollection } = req.body;
+
+    const { started, job, runningJobId } = await startIngestionJob({ type: 'reindex', targetCollection, trigger: 'api' });
+
+    if (!started) {
+      throw new ApiError(409, 'CONFLICT', 'An ingestion job is already running', { jobId: runningJobId });
+    }
+
+    res.status(202).json({
+      message: 'Reindexing started',
+      data: { jobId: job.id, status: job.status, statusUrl: `/api/ingest-jobs/${job.id}` }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List recent ingestion jobs
+router.get('/ingest-jobs', requireRole('admin'), async (req, res, next) => {
+  try {
+    const jobs = await getRecentIngestionJobs();
+    res.status(200).json({ message: 'Ingestion jobs retrieved successfully', data: { jobs, count: jobs.length } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the status and progress of an ingestion job
+router.get('/ingest-jobs/:jobId', requireRole('admin'), validate(ingestionJobParamsSchema), async (req, res, next) => {
+  try {
+    const job = await getIngestionJob(req.params.jobId);
+
+    if (!job) {
+      throw new ApiError(404, 'NOT_FOUND', 'Ingestion job not found');
+    }
+
+    res.status(200).json({ message: 'Ingestion job retrieved successfully', data: job });
   } catch (error) {
-    console.error('Error ingesting news articles:', error);
-    res.status(500).json({ message: 'Failed to ingest news articles', error: error.message });
+    next(error);
   }
 });
 
@@ -0,0 +1,66 @@
+import { Router } from 'express';
+import { getQuotaUsage, setDailyQuota, clearDailyQuota, listDailyQuotas } from '../services/rateLimitService.js';
+import { isAdmin } from '../services/authService.js';
+import { requireRole } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { quotaParamsSchema, updateQuotaSchema } from '../validation/schemas.js';
+import { ApiError } from '../utils/errors.js';
+
+const router = Router();
+
+// List the custom daily message quotas admins have set
+router.get('/quotas', requireRole('admin'), async (req, res, next) => {
+    try {
+        const quotas = await listDailyQuotas();
+        res.status(200).json({
+            message: 'Quotas retrieved successfully',
+            data: { quotas, count: quotas.length }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get a user's daily message quota and today's usage (users can read their own)
+router.get('/quotas/:userId', validate(quotaParamsSchema), async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+
+        if (!isAdmin(req.user) && req.user.id !== userId) {
+            throw new ApiError(403, 'FORBIDDEN', 'Insufficient permissions');
+        }
+
+        const usage = await getQuotaUsage(userId);
+        res.status(200).json({ message: 'Quota retrieved successfully', data: usage });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Set a user's daily message quota (0 for unlimited)
+router.put('/quotas/:userId', requireRole('admin'), validate(updateQuotaSchema), async (req, res, next) => {
+    try {
+        const { dailyMessages } = req.body;
+        const quota = await setDailyQuota(req.params.userId, dailyMessages);
+        res.status(200).json({ message: 'Quota updated successfully', data: quota });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Remove a user's custom quota so the default (DAILY_MESSAGE_QUOTA) applies again
+router.delete('/quotas/:userId', requireRole('admin'), validate(quotaParamsSchema), async (req, res, next) => {
+    try {
+        const removed = await clearDailyQuota(req.params.userId);
+
+        if (!removed) {
+            throw new ApiError(404, 'NOT_FOUND', 'No custom quota set for this user');
+        }
+
+        res.status(200).json({ message: 'Quota removed successfully', data: { userId: req.params.userId } });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
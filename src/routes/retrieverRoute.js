@@ -1,38 +1,185 @@
 import { Router } from 'express';
-import { getTopKChunks } from '../services/retrieverService.js'
-import { generateAnswer } from '../services/geminiService.js';
+import { getTopKArticles, toRetrievalOptions } from '../services/retrieverService.js'
+import { generateAnswer, generateAnswerStream } from '../services/geminiService.js';
+import { parsePromptOptions } from '../services/promptService.js';
+import { startGeneration, finishGeneration, cancelGeneration, httpGenerationOwner } from '../services/generationService.js';
+import { getAnswerCacheStats, invalidateAnswerCache } from '../services/answerCacheService.js';
+import { isAdmin } from '../services/authService.js';
+import { requireRole } from '../middleware/auth.js';
+import { rateLimitFor, enforceDailyQuota } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import { retrieveSchema, chatSchema, cancelGenerationSchema } from '../validation/schemas.js';
+import { ApiError } from '../utils/errors.js';
+import { wantsEventStream, openEventStream } from '../utils/sse.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import { chatRequests } from '../utils/metrics.js';
 
 const router = Router();
 
+/**
+ * Summarize retrieved articles with their per-signal scores for debugging
+ * @param {Array} articles - Articles from getTopKArticles
+ * @returns {Array} Article summaries
+ */
+const summarizeRetrieval = (articles) => articles.map(article => ({
+    id: article.id,
+    title: article.metadata.title,
+    link: article.metadata.link,
+    score: article.score,
+    scores: article.scores,
+    chunks: article.chunks.map(chunk => ({ id: chunk.id, chunkIndex: chunk.chunkIndex, scores: chunk.scores }))
+}));
 
-router.post('/retrieve', async (req, res) => {
+router.post('/retrieve', rateLimitFor('retrieve'), validate(retrieveSchema), async (req, res, next) => {
     try {
         const { query } = req.body;
 
-        if (!query) {
-            return res.status(400).json({ message: 'Query is required' });
-        }
+        const options = toRetrievalOptions(req.body);
 
-        const result = await getTopKChunks(query);
-        res.status(200).json({ message: 'Top K chunks retrieved successfully', data: result });
+        const result = await getTopKArticles(query, options);
+        res.status(200).json({ message: 'Top K articles retrieved successfully', data: result });
     } catch (error) {
-        res.status(500).json({ message: "error retrieving top chunks"})
+        next(error);
     }
 });
 
-router.post('/chat', async (req, res) => {
+router.post('/chat', rateLimitFor('chat'), validate(chatSchema), enforceDailyQuota, async (req, res, next) => {
     try {
-        const { query } = req.body;
+        const { query, debug, cache } = req.body;
+
+        const options = toRetrievalOptions(req.body);
+
+        const { options: prompt, error: promptError } = parsePromptOptions(req.body);
+        if (promptError) {
+            throw new ApiError(400, 'VALIDATION_ERROR', promptError);
+        }
+
+        chatRequests.inc({ transport: 'rest' });
+
+        if (wantsEventStream(req)) {
+            return streamChat(req, res, query, { retrieval: options, prompt, debug, cache });
+        }
 
-        if (!query) {
-            return res.status(400).json({ message: 'Query is required' });
+        let retrieved = [];
+        const result = await generateAnswer(query, {
+            retrieval: options,
+            prompt,
+            cache,
+            onRetrieved: (articles) => { retrieved = articles; }
+        });
+
+        const response = { message: 'Chat response generated successfully', data: result };
+        if (debug) {
+            response.retrieval = summarizeRetrieval(retrieved);
         }
 
-        const result = await generateAnswer(query);
-        res.status(200).json({ message: 'Chat response generated successfully', data: result });
+        res.status(200).json(response);
     } catch (error) {
-        res.status(500).json({ message: "error generating chat response"})
+        next(error);
+    }
+});
+
+// Cancel an answer being streamed over HTTP (the messageId comes from the X-Message-Id header or start event).
+// Users can only cancel their own generations; admins can cancel any.
+router.post('/chat/:messageId/cancel', validate(cancelGenerationSchema), (req, res, next) => {
+    const owner = isAdmin(req.user) ? null : httpGenerationOwner(req.user);
+    if (!cancelGeneration(req.params.messageId, owner)) {
+        return next(new ApiError(404, 'NOT_FOUND', 'No generation in progress for this message'));
     }
+    res.status(200).json({ message: 'Generation cancelled', data: { messageId: req.params.messageId } });
 });
 
+// Answer cache settings, hit/miss counters and current collection snapshot
+router.get('/answer-cache/stats', requireRole('admin'), async (req, res, next) => {
+    try {
+        const stats = await getAnswerCacheStats();
+        res.status(200).json({ message: 'Answer cache statistics retrieved successfully', data: stats });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Drop every cached answer
+router.delete('/answer-cache', requireRole('admin'), async (req, res, next) => {
+    try {
+        const snapshot = await invalidateAnswerCache();
+        res.status(200).json({ message: 'Answer cache cleared successfully', data: { snapshot } });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Stream a chat answer as Server-Sent Events: start, chunk, sources, complete, cancelled (or error).
+ * Disconnecting cancels the generation.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} query - User query
+ * @param {Object} options - `{ retrieval, prompt, debug, cache }`
+ */
+const streamChat = async (req, res, query, { retrieval, prompt, debug, cache }) => {
+    const messageId = uuidv4();
+    const signal = startGeneration(messageId, httpGenerationOwner(req.user));
+    res.set('X-Message-Id', messageId);
+    res.on('close', () => cancelGeneration(messageId));
+
+    const events = openEventStream(res);
+    let retrieved = [];
+    let standaloneQuery = query;
+    let started = false;
+
+    const start = () => {
+        if (!started) {
+            started = true;
+            events.send('start', { messageId, standaloneQuery, timestamp: Date.now() });
+        }
+    };
+
+    try {
+        await generateAnswerStream(
+            query,
+            (chunk) => {
+                start();
+                events.send('chunk', { chunk });
+            },
+            async (result) => {
+                start();
+                events.send('sources', { sources: result.sources });
+
+                const complete = { messageId, ...result, timestamp: Date.now() };
+                if (debug) {
+                    complete.retrieval = summarizeRetrieval(retrieved);
+                }
+                events.send('complete', complete);
+            },
+            {
+                retrieval,
+                prompt,
+                cache,
+                onRetrieved: (articles, { retrievalQuery }) => {
+                    retrieved = articles;
+                    standaloneQuery = retrievalQuery;
+                },
+                signal,
+                onCancelled: (partial) => {
+                    events.send('cancelled', {
+                        messageId,
+                        partialResponse: partial.answer,
+                        sources: partial.sources,
+                        truncated: true
+                    });
+                }
+            }
+        );
+    } catch (error) {
+        logger.error('Error streaming chat response', { messageId, error });
+        const { code, message } = error instanceof ApiError ? error : { code: 'INTERNAL_ERROR', message: 'Error generating chat response' };
+        events.send('error', { code, message, details: null, requestId: req.id });
+    } finally {
+        finishGeneration(messageId);
+        events.end();
+    }
+};
+
 export default router;
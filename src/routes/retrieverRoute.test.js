@@ -0,0 +1,175 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import { ApiError } from '../utils/errors.js';
+
+// Streams `chunks` one by one; when the signal aborts, reports the partial answer like geminiService does
+let chunks = [];
+let failWith = null;
+const generateAnswerStream = jest.fn(async (query, onChunk, onComplete, { signal, onCancelled }) => {
+    if (failWith) {
+        throw failWith;
+    }
+    let answer = '';
+    for (const chunk of chunks) {
+        if (signal.aborted) {
+            await onCancelled({ answer, sources: [], truncated: true });
+            return;
+        }
+        answer += chunk;
+        onChunk(chunk);
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    await onComplete({ answer, sources: [{ id: 1, articleId: 'a1' }], provider: 'mock', model: 'mock' });
+});
+
+jest.unstable_mockModule('../services/geminiService.js', () => ({ generateAnswer: jest.fn(), generateAnswerStream }));
+jest.unstable_mockModule('../services/retrieverService.js', () => ({
+    getTopKArticles: jest.fn(),
+    toRetrievalOptions: ({ mode, filters, rerank } = {}) => ({ mode, filters: filters ?? null, rerank: rerank ?? {} }),
+    RETRIEVAL_MODES: ['vector', 'keyword', 'hybrid']
+}));
+jest.unstable_mockModule('../services/answerCacheService.js', () => ({
+    getAnswerCacheStats: jest.fn(),
+    invalidateAnswerCache: jest.fn()
+}));
+jest.unstable_mockModule('../middleware/rateLimit.js', () => ({
+    rateLimitFor: () => [],
+    enforceDailyQuota: (req, res, next) => next()
+}));
+
+const { default: retrieverRoute } = await import('./retrieverRoute.js');
+const { errorHandler } = await import('../middleware/errorHandler.js');
+
+const USERS = {
+    web: { id: 'key:web', role: 'user', authType: 'api-key' },
+    other: { id: 'key:other', role: 'user', authType: 'api-key' }
+};
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.id = 'req-1';
+        req.user = USERS[req.headers['x-test-user'] || 'web'];
+        next();
+    });
+    app.use('/api', retrieverRoute);
+    app.use(errorHandler);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    chunks = ['The monsoon ', 'arrived ', 'early [1].'];
+    failWith = null;
+});
+
+const post = (path, body, user = 'web') => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Test-User': user },
+    body: JSON.stringify(body)
+});
+
+const parseEvents = (text) => text.split('\n\n')
+    .filter(block => block.startsWith('event: '))
+    .map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+    });
+
+// Read an SSE response until `until` returns true for the events so far (or the stream ends)
+const readEvents = async (reader, until = () => false) => {
+    const decoder = new TextDecoder();
+    let text = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) {
+            return parseEvents(text);
+        }
+        text += decoder.decode(value, { stream: true });
+        if (until(parseEvents(text))) {
+            return parseEvents(text);
+        }
+    }
+};
+
+describe('POST /api/chat with stream: true', () => {
+    test('streams start, chunk, sources and complete events', async () => {
+        const response = await post('/chat', { query: 'When did the monsoon arrive?', stream: true });
+
+        expect(response.headers.get('content-type')).toMatch(/^text\/event-stream/);
+        const messageId = response.headers.get('x-message-id');
+        const events = parseEvents(await response.text());
+
+        expect(events.map(e => e.event)).toEqual(['start', 'chunk', 'chunk', 'chunk', 'sources', 'complete']);
+        expect(events[0].data).toMatchObject({ messageId, standaloneQuery: 'When did the monsoon arrive?' });
+        expect(events.filter(e => e.event === 'chunk').map(e => e.data.chunk).join('')).toBe('The monsoon arrived early [1].');
+        expect(events[4].data).toEqual({ sources: [{ id: 1, articleId: 'a1' }] });
+        expect(events[5].data).toMatchObject({ messageId, answer: 'The monsoon arrived early [1].', provider: 'mock' });
+    });
+
+    test('also streams when the client asks for text/event-stream', async () => {
+        const response = await fetch(`${baseUrl}/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+            body: JSON.stringify({ query: 'monsoon' })
+        });
+
+        expect(parseEvents(await response.text()).at(-1).event).toBe('complete');
+    });
+
+    test('reports a failure as an error event in the API error shape', async () => {
+        failWith = new ApiError(503, 'RETRIEVAL_UNAVAILABLE', 'Article retrieval is unavailable, please try again');
+
+        const events = parseEvents(await (await post('/chat', { query: 'monsoon', stream: true })).text());
+
+        expect(events).toEqual([{
+            event: 'error',
+            data: { code: 'RETRIEVAL_UNAVAILABLE', message: 'Article retrieval is unavailable, please try again', details: null, requestId: 'req-1' }
+        }]);
+    });
+});
+
+describe('POST /api/chat/:messageId/cancel', () => {
+    test('stops the stream and sends the partial answer in a cancelled event', async () => {
+        chunks = Array.from({ length: 50 }, (_, i) => `word${i} `);
+        const response = await post('/chat', { query: 'monsoon', stream: true });
+        const messageId = response.headers.get('x-message-id');
+        const reader = response.body.getReader();
+
+        await readEvents(reader, events => events.some(e => e.event === 'chunk'));
+        const cancel = await post(`/chat/${messageId}/cancel`, {});
+        const rest = await readEvents(reader);
+
+        expect(cancel.status).toBe(200);
+        expect(await cancel.json()).toEqual({ message: 'Generation cancelled', data: { messageId } });
+        const cancelled = rest.find(e => e.event === 'cancelled');
+        expect(cancelled.data).toMatchObject({ messageId, truncated: true });
+        expect(cancelled.data.partialResponse.length).toBeGreaterThan(0);
+        expect(rest.some(e => e.event === 'complete')).toBe(false);
+    });
+
+    test('does not let another user cancel the generation', async () => {
+        chunks = Array.from({ length: 10 }, (_, i) => `word${i} `);
+        const response = await post('/chat', { query: 'monsoon', stream: true });
+        const messageId = response.headers.get('x-message-id');
+
+        const cancel = await post(`/chat/${messageId}/cancel`, {}, 'other');
+
+        expect(cancel.status).toBe(404);
+        expect((await cancel.json()).code).toBe('NOT_FOUND');
+        expect(parseEvents(await response.text()).at(-1).event).toBe('complete');
+    });
+
+    test('rejects a message ID that is not a UUID', async () => {
+        const cancel = await post('/chat/not-a-uuid/cancel', {});
+
+        expect(cancel.status).toBe(400);
+        expect((await cancel.json()).code).toBe('VALIDATION_ERROR');
+    });
+});
@@ -4,22 +4,48 @@ import {
     clearSession, 
     getActiveSessions,
     createSession,
-    storeMessage
+    storeMessage,
+    getSessionOwner,
+    authorizeSession
 } from '../services/sessionService.js';
-import { generateAnswer } from '../services/geminiService.js';
-import { saveTranscript, getTranscript, getAllTranscripts, getTranscriptStats } from '../services/transcriptService.js';
+import { generateAnswer, generateAnswerStream } from '../services/geminiService.js';
+import { toRetrievalOptions } from '../services/retrieverService.js';
+import { parsePromptOptions } from '../services/promptService.js';
+import { startGeneration, finishGeneration, cancelGeneration, shouldStoreCancelledAnswer, httpGenerationOwner } from '../services/generationService.js';
+import { wantsEventStream, openEventStream } from '../utils/sse.js';
+import { v4 as uuidv4 } from 'uuid';
+import { saveTranscript, getTranscript, getAllTranscripts, searchTranscripts, getTranscriptStats } from '../services/transcriptService.js';
+import { isAdmin } from '../services/authService.js';
+import { requireRole } from '../middleware/auth.js';
+import { rateLimitFor, enforceDailyQuota } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import { sessionParamsSchema, sessionChatSchema, transcriptListSchema, transcriptSearchSchema } from '../validation/schemas.js';
+import { ApiError } from '../utils/errors.js';
+import { toTimestamp } from '../utils/dateUtils.js';
+import logger from '../utils/logger.js';
+import { chatRequests } from '../utils/metrics.js';
 
 const router = Router();
 
+/**
+ * Only let the session's owner or an admin through
+ */
+const requireSessionAccess = async (req, res, next) => {
+    try {
+        if (!(await authorizeSession(req.user, req.params.sessionId))) {
+            throw new ApiError(403, 'FORBIDDEN', 'Access to this session is denied');
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
 // Get session history
-router.get('/sessions/:sessionId/history', async (req, res) => {
+router.get('/sessions/:sessionId/history', validate(sessionParamsSchema), requireSessionAccess, async (req, res, next) => {
     try {
         const { sessionId } = req.params;
 
-        if (!sessionId) {
-            return res.status(400).json({ message: 'Session ID is required' });
-        }
-
         const history = await getSessionHistory(sessionId);
         res.status(200).json({ 
             message: 'Session history retrieved successfully', 
@@ -30,22 +56,18 @@ router.get('/sessions/:sessionId/history', async (req, res) => {
             }
         });
     } catch (error) {
-        console.error('Error retrieving session history:', error);
-        res.status(500).json({ message: 'Error retrieving session history' });
+        next(error);
     }
 });
 
 // Clear specific session with transcript persistence
-router.delete('/sessions/:sessionId', async (req, res) => {
+router.delete('/sessions/:sessionId', validate(sessionParamsSchema), requireSessionAccess, async (req, res, next) => {
     try {
         const { sessionId } = req.params;
 
-        if (!sessionId) {
-            return res.status(400).json({ message: 'Session ID is required' });
-        }
-
-        // Get session history before clearing
+        // Get session history and owner before clearing
         const history = await getSessionHistory(sessionId);
+        const ownerId = await getSessionOwner(sessionId);
         
         let transcriptResult = null;
         
@@ -55,7 +77,7 @@ router.delete('/sessions/:sessionId', async (req, res) => {
             const endedAt = new Date();
             
             // Save transcript to PostgreSQL
-            transcriptResult = await saveTranscript(sessionId, history, startedAt, endedAt);
+            transcriptResult = await saveTranscript(sessionId, history, startedAt, endedAt, ownerId);
         }
 
         // Clear session from Redis
@@ -83,13 +105,12 @@ router.delete('/sessions/:sessionId', async (req, res) => {
 
         res.status(200).json(response);
     } catch (error) {
-        console.error('Error clearing session:', error);
-        res.status(500).json({ message: 'Error clearing session' });
+        next(error);
     }
 });
 
 // Get all active sessions
-router.get('/sessions', async (req, res) => {
+router.get('/sessions', requireRole('admin'), async (req, res, next) => {
     try {
         const sessions = await getActiveSessions();
         res.status(200).json({ 
@@ -100,44 +121,55 @@ router.get('/sessions', async (req, res) => {
             }
         });
     } catch (error) {
-        console.error('Error retrieving active sessions:', error);
-        res.status(500).json({ message: 'Error retrieving active sessions' });
+        next(error);
     }
 });
 
-// Create new session
-router.post('/sessions', async (req, res) => {
+// Create new session owned by the caller
+router.post('/sessions', async (req, res, next) => {
     try {
-        const sessionId = createSession();
+        const sessionId = await createSession(req.user.id);
         res.status(201).json({ 
             message: 'Session created successfully',
             data: { sessionId }
         });
     } catch (error) {
-        console.error('Error creating session:', error);
-        res.status(500).json({ message: 'Error creating session' });
+        next(error);
     }
 });
 
 // Chat with session (alternative to socket for REST API usage)
-router.post('/sessions/:sessionId/chat', async (req, res) => {
+router.post('/sessions/:sessionId/chat', validate(sessionChatSchema), requireSessionAccess, rateLimitFor('chat'), enforceDailyQuota, async (req, res, next) => {
     try {
         const { sessionId } = req.params;
-        const { query } = req.body;
+        const { query, cache } = req.body;
 
-        if (!sessionId) {
-            return res.status(400).json({ message: 'Session ID is required' });
+        const options = toRetrievalOptions(req.body);
+
+        const { options: promptOptions, error: promptError } = parsePromptOptions(req.body);
+        if (promptError) {
+            throw new ApiError(400, 'VALIDATION_ERROR', promptError);
         }
 
-        if (!query) {
-            return res.status(400).json({ message: 'Query is required' });
+        chatRequests.inc({ transport: 'rest' });
+
+        // Recent turns let follow-up questions be rewritten into standalone retrieval queries
+        const history = await getSessionHistory(sessionId);
+
+        if (wantsEventStream(req)) {
+            return streamSessionChat(req, res, sessionId, query, { retrieval: options, prompt: promptOptions, history, cache });
         }
 
         // Generate response using existing Gemini service
-        const botResponse = await generateAnswer(query);
+        const { answer: botResponse, sources, retrieved, timings, standaloneQuery, provider, model, prompt, cached } = await generateAnswer(query, {
+            retrieval: options,
+            prompt: promptOptions,
+            history,
+            cache
+        });
         
         // Store message in session
-        const message = await storeMessage(sessionId, query, botResponse);
+        const message = await storeMessage(sessionId, query, botResponse, { sources, retrieved, timings, provider, model, prompt, cached });
 
         res.status(200).json({
             message: 'Chat response generated successfully',
@@ -145,32 +177,130 @@ router.post('/sessions/:sessionId/chat', async (req, res) => {
                 sessionId,
                 messageId: message.id,
                 userQuery: query,
+                standaloneQuery,
                 botResponse,
+                sources,
+                provider,
+                model,
+                prompt,
+                cached,
                 timestamp: message.timestamp
             }
         });
     } catch (error) {
-        console.error('Error processing chat request:', error);
-        res.status(500).json({ message: 'Error processing chat request' });
+        next(error);
     }
 });
 
+/**
+ * Stream a session chat answer as Server-Sent Events: start, chunk, sources, complete, cancelled (or error).
+ * The finished message is stored like the socket path stores it. Disconnecting or
+ * `POST /api/chat/:messageId/cancel` cancels the generation; the partial answer is then stored
+ * marked as truncated or dropped, per CANCELLED_ANSWER_POLICY.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} sessionId - Session identifier
+ * @param {string} query - User query
+ * @param {Object} options - `{ retrieval, prompt, history, cache }` for generateAnswerStream
+ */
+const streamSessionChat = async (req, res, sessionId, query, { retrieval, prompt, history, cache }) => {
+    const messageId = uuidv4();
+    const signal = startGeneration(messageId, httpGenerationOwner(req.user));
+    res.set('X-Message-Id', messageId);
+    res.on('close', () => cancelGeneration(messageId));
+
+    const events = openEventStream(res);
+    let standaloneQuery = query;
+    let started = false;
+
+    const start = () => {
+        if (!started) {
+            started = true;
+            events.send('start', { sessionId, messageId, standaloneQuery, timestamp: Date.now() });
+        }
+    };
+
+    try {
+        await generateAnswerStream(
+            query,
+            (chunk) => {
+                start();
+                events.send('chunk', { chunk });
+            },
+            async ({ answer, sources, retrieved, timings, provider, model, prompt: promptInfo, cached }) => {
+                start();
+
+                // Store complete message in session
+                const message = await storeMessage(sessionId, query, answer, {
+                    id: messageId, sources, retrieved, timings, provider, model, prompt: promptInfo, cached
+                });
+
+                events.send('sources', { messageId, sources });
+                events.send('complete', {
+                    sessionId,
+                    messageId: message.id,
+                    userQuery: query,
+                    standaloneQuery,
+                    botResponse: answer,
+                    provider,
+                    model,
+                    prompt: promptInfo,
+                    cached,
+                    timestamp: message.timestamp
+                });
+            },
+            {
+                retrieval,
+                prompt,
+                history,
+                cache,
+                onRetrieved: (articles, { retrievalQuery }) => { standaloneQuery = retrievalQuery; },
+                signal,
+                onCancelled: async (partial) => {
+                    const stored = shouldStoreCancelledAnswer(partial);
+                    if (stored) {
+                        const { answer, sources, retrieved, timings, provider, model, prompt: promptInfo } = partial;
+                        await storeMessage(sessionId, query, answer, {
+                            id: messageId, sources, retrieved, timings, provider, model, prompt: promptInfo, truncated: true
+                        });
+                    }
+
+                    events.send('cancelled', {
+                        sessionId,
+                        messageId,
+                        partialResponse: partial.answer,
+                        sources: partial.sources,
+                        truncated: true,
+                        stored
+                    });
+                    logger.info('Streaming chat response cancelled', { sessionId, messageId });
+                }
+            }
+        );
+    } catch (error) {
+        logger.error('Error streaming chat response', { sessionId, messageId, error });
+        const { code, message } = error instanceof ApiError ? error : { code: 'INTERNAL_ERROR', message: 'Error processing chat request' };
+        events.send('error', { code, message, details: null, requestId: req.id });
+    } finally {
+        finishGeneration(messageId);
+        events.end();
+    }
+};
+
 // Get saved transcript by session ID
-router.get('/sessions/:sessionId/transcript', async (req, res) => {
+router.get('/sessions/:sessionId/transcript', validate(sessionParamsSchema), async (req, res, next) => {
     try {
         const { sessionId } = req.params;
 
-        if (!sessionId) {
-            return res.status(400).json({ message: 'Session ID is required' });
-        }
-
         const transcript = await getTranscript(sessionId);
         
         if (!transcript) {
-            return res.status(404).json({ 
-                message: 'Transcript not found for this session',
-                data: { sessionId }
-            });
+            throw new ApiError(404, 'NOT_FOUND', 'Transcript not found for this session', { sessionId });
+        }
+
+        // Transcripts outlive the Redis session, so ownership is checked against the stored owner
+        if (!isAdmin(req.user) && transcript.ownerId !== req.user.id) {
+            throw new ApiError(403, 'FORBIDDEN', 'Access to this session is denied');
         }
 
         res.status(200).json({
@@ -178,20 +308,14 @@ router.get('/sessions/:sessionId/transcript', async (req, res) => {
             data: transcript
         });
     } catch (error) {
-        console.error('Error retrieving transcript:', error);
-        res.status(500).json({ message: 'Error retrieving transcript' });
+        next(error);
     }
 });
 
 // Get all saved transcripts with pagination
-router.get('/transcripts', async (req, res) => {
+router.get('/transcripts', requireRole('admin'), validate(transcriptListSchema), async (req, res, next) => {
     try {
-        const limit = parseInt(req.query.limit) || 50;
-        const offset = parseInt(req.query.offset) || 0;
-
-        if (limit > 100) {
-            return res.status(400).json({ message: 'Limit cannot exceed 100' });
-        }
+        const { limit, offset } = req.query;
 
         const transcripts = await getAllTranscripts(limit, offset);
         
@@ -205,13 +329,40 @@ router.get('/transcripts', async (req, res) => {
             }
         });
     } catch (error) {
-        console.error('Error retrieving transcripts:', error);
-        res.status(500).json({ message: 'Error retrieving transcripts' });
+        next(error);
+    }
+});
+
+// Full-text search over saved transcripts, best match first
+router.get('/transcripts/search', requireRole('admin'), validate(transcriptSearchSchema), async (req, res, next) => {
+    try {
+        const { q, endedAfter, endedBefore, minMessages, limit, offset } = req.query;
+
+        const transcripts = await searchTranscripts(q, {
+            endedAfter: toTimestamp(endedAfter) ?? undefined,
+            endedBefore: toTimestamp(endedBefore) ?? undefined,
+            minMessages,
+            limit,
+            offset
+        });
+
+        res.status(200).json({
+            message: 'Transcripts searched successfully',
+            data: {
+                query: q,
+                transcripts,
+                count: transcripts.length,
+                limit,
+                offset
+            }
+        });
+    } catch (error) {
+        next(error);
     }
 });
 
 // Get transcript statistics
-router.get('/transcripts/stats', async (req, res) => {
+router.get('/transcripts/stats', requireRole('admin'), async (req, res, next) => {
     try {
         const stats = await getTranscriptStats();
         
@@ -220,8 +371,7 @@ router.get('/transcripts/stats', async (req, res) => {
             data: stats
         });
     } catch (error) {
-        console.error('Error retrieving transcript stats:', error);
-        res.status(500).json({ message: 'Error retrieving transcript statistics' });
+        next(error);
     }
 });
 
@@ -0,0 +1,216 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { QdrantClient } from '@qdrant/js-client-rest';
+import redisClient from '../utils/redisClient.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const ANSWER_CACHE_ENABLED = process.env.ANSWER_CACHE_ENABLED !== 'false';
+// Minimum cosine similarity between query embeddings for a cached answer to be reused
+const ANSWER_CACHE_THRESHOLD = parseFloat(process.env.ANSWER_CACHE_THRESHOLD) || 0.95;
+const ANSWER_CACHE_TTL = parseInt(process.env.ANSWER_CACHE_TTL) || 3600; // 1 hour default
+// Qdrant collection holding one point per cached answer: the query embedding, its scope and snapshot.
+// The answer itself stays in Redis and is only read for the nearest match.
+const ANSWER_CACHE_COLLECTION = process.env.ANSWER_CACHE_COLLECTION || 'answer_cache';
+// Expired and superseded points are deleted at most this often
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Bumped whenever ingestion changes the collection; entries of older snapshots are never read again and expire
+const VERSION_KEY = 'answer-cache:version';
+const STATS_KEY = 'answer-cache:stats';
+const entryKey = (entryId) => `answer-cache:entry:${entryId}`;
+
+const qdrant = new QdrantClient({
+    url: process.env.QDRANT_URL || 'http://localhost:6333',
+    apiKey: process.env.QDRANT_API_KEY,
+});
+
+// Resolves once the collection exists; reset on failure so the next call retries
+let collectionReady = null;
+let lastPrunedAt = 0;
+
+/**
+ * Hash everything besides the query that shapes an answer, so only answers produced
+ * with the same retrieval options, prompt template and model are shared
+ * @param {Object} scope - e.g. `{ collection, retrieval, prompt, provider, model }`
+ * @returns {string} Scope key
+ */
+const scopeKey = (scope) => crypto.createHash('sha256').update(JSON.stringify(scope)).digest('hex').slice(0, 32);
+
+/**
+ * Create the answer cache collection on first use, sized for the query embeddings
+ * @param {number} dimension - Embedding length
+ */
+const ensureCollection = (dimension) => {
+    collectionReady ??= (async () => {
+        // Only a collection that is known to be missing is created; timeouts and auth errors propagate
+        const { exists } = await qdrant.collectionExists(ANSWER_CACHE_COLLECTION);
+        if (!exists) {
+            logger.info('Creating answer cache collection', { collection: ANSWER_CACHE_COLLECTION, dimension });
+            await qdrant.createCollection(ANSWER_CACHE_COLLECTION, { vectors: { size: dimension, distance: 'Cosine' } });
+            await qdrant.createPayloadIndex(ANSWER_CACHE_COLLECTION, { field_name: 'scope', field_schema: 'keyword', wait: true });
+            await qdrant.createPayloadIndex(ANSWER_CACHE_COLLECTION, { field_name: 'snapshot', field_schema: 'integer', wait: true });
+            await qdrant.createPayloadIndex(ANSWER_CACHE_COLLECTION, { field_name: 'createdAt', field_schema: 'integer', wait: true });
+            return;
+        }
+
+        const collection = await qdrant.getCollection(ANSWER_CACHE_COLLECTION);
+        const existingSize = collection.config?.params?.vectors?.size;
+        if (existingSize && existingSize !== dimension) {
+            throw new Error(
+                `Answer cache collection '${ANSWER_CACHE_COLLECTION}' stores ${existingSize}-dimension vectors but queries ` +
+                `are embedded with ${dimension}. Use a different ANSWER_CACHE_COLLECTION or delete the collection.`
+            );
+        }
+    })().catch(error => {
+        collectionReady = null;
+        throw error;
+    });
+    return collectionReady;
+};
+
+/**
+ * Delete points that expired or belong to an older snapshot
+ * @param {number} snapshot - Current snapshot version
+ */
+const pruneEntries = async (snapshot) => {
+    lastPrunedAt = Date.now();
+    await qdrant.delete(ANSWER_CACHE_COLLECTION, {
+        filter: {
+            should: [
+                { key: 'createdAt', range: { lt: Date.now() - ANSWER_CACHE_TTL * 1000 } },
+                { key: 'snapshot', range: { lt: snapshot } }
+            ]
+        }
+    });
+};
+
+const getSnapshot = async () => parseInt((await redisClient.get(VERSION_KEY)) || 0);
+
+const countStat = (field) => redisClient.hIncrBy(STATS_KEY, field, 1)
+    .catch(error => logger.error('Error updating answer cache stats', { error }));
+
+/**
+ * Whether the answer cache is switched on (ANSWER_CACHE_ENABLED)
+ * @returns {boolean}
+ */
+export const isAnswerCacheEnabled = () => ANSWER_CACHE_ENABLED;
+
+/**
+ * Find a cached answer for a query embedding in the current collection snapshot
+ * @param {Array<number>} queryVector - Embedding of the (standalone) query
+ * @param {Object} scope - Answer scope, see scopeKey
+ * @returns {Object|null} `{ query, result, similarity, createdAt }` for the most similar entry above
+ *   ANSWER_CACHE_THRESHOLD, or null on a miss
+ */
+export const lookupAnswer = async (queryVector, scope) => {
+    const snapshot = await getSnapshot();
+    await ensureCollection(queryVector.length);
+
+    // Nearest neighbour among live entries of this scope and snapshot; cosine score is the similarity
+    const [match] = await qdrant.search(ANSWER_CACHE_COLLECTION, {
+        vector: queryVector,
+        filter: {
+            must: [
+                { key: 'scope', match: { value: scopeKey(scope) } },
+                { key: 'snapshot', match: { value: snapshot } },
+                { key: 'createdAt', range: { gte: Date.now() - ANSWER_CACHE_TTL * 1000 } }
+            ]
+        },
+        limit: 1,
+        score_threshold: ANSWER_CACHE_THRESHOLD,
+        with_payload: false
+    });
+
+    let best = null;
+    if (match) {
+        const raw = await redisClient.get(entryKey(match.id));
+        if (raw) {
+            const entry = JSON.parse(raw);
+            best = { query: entry.query, result: entry.result, similarity: match.score, createdAt: entry.createdAt };
+        } else {
+            // The answer expired in Redis before its point was pruned
+            await qdrant.delete(ANSWER_CACHE_COLLECTION, { points: [match.id] });
+        }
+    }
+
+    countStat(best ? 'hits' : 'misses');
+    return best;
+};
+
+/**
+ * Cache an answer for a query embedding in the current collection snapshot
+ * @param {Array<number>} queryVector - Embedding of the (standalone) query
+ * @param {Object} scope - Answer scope, see scopeKey
+ * @param {string} query - Query the answer was generated for
+ * @param {Object} result - Answer result to replay (answer, sources, provider, model, prompt)
+ */
+export const storeAnswer = async (queryVector, scope, query, result) => {
+    const snapshot = await getSnapshot();
+    await ensureCollection(queryVector.length);
+    const entryId = uuidv4();
+    const createdAt = Date.now();
+
+    // The answer is written first, so a point that can be found always has one
+    await redisClient.set(entryKey(entryId), JSON.stringify({ query, result, createdAt }), { EX: ANSWER_CACHE_TTL });
+    await qdrant.upsert(ANSWER_CACHE_COLLECTION, {
+        wait: true,
+        points: [{ id: entryId, vector: queryVector, payload: { scope: scopeKey(scope), snapshot, createdAt } }]
+    });
+
+    // Pruning is housekeeping: it runs in the background and never fails the store that triggered it
+    if (Date.now() - lastPrunedAt > PRUNE_INTERVAL_MS) {
+        pruneEntries(snapshot).catch(error => logger.warn('Error pruning answer cache entries', { error: error.message }));
+    }
+};
+
+/**
+ * Count a request that skipped the cache with the bypass flag
+ */
+export const recordCacheBypass = () => countStat('bypassed');
+
+/**
+ * Invalidate every cached answer by moving to a new collection snapshot.
+ * Called after ingestion changes the collection.
+ * @returns {number} New snapshot version
+ */
+export const invalidateAnswerCache = async () => {
+    const version = await redisClient.incr(VERSION_KEY);
+    await countStat('invalidations');
+    logger.info('Answer cache invalidated', { snapshot: version });
+
+    // Older snapshots are never searched again; drop their points now rather than at the next prune
+    try {
+        const { exists } = await qdrant.collectionExists(ANSWER_CACHE_COLLECTION);
+        if (exists) {
+            await pruneEntries(version);
+        }
+    } catch (error) {
+        logger.warn('Error pruning answer cache entries', { error: error.message });
+    }
+    return version;
+};
+
+/**
+ * Answer cache settings and counters
+ * @returns {Object} `{ enabled, threshold, ttlSeconds, snapshot, hits, misses, bypassed, invalidations, hitRate }`
+ */
+export const getAnswerCacheStats = async () => {
+    const [version, stats] = await Promise.all([redisClient.get(VERSION_KEY), redisClient.hGetAll(STATS_KEY)]);
+    const hits = parseInt(stats.hits || 0);
+    const misses = parseInt(stats.misses || 0);
+
+    return {
+        enabled: ANSWER_CACHE_ENABLED,
+        threshold: ANSWER_CACHE_THRESHOLD,
+        ttlSeconds: ANSWER_CACHE_TTL,
+        snapshot: parseInt(version || 0),
+        hits,
+        misses,
+        bypassed: parseInt(stats.bypassed || 0),
+        invalidations: parseInt(stats.invalidations || 0),
+        hitRate: hits + misses > 0 ? hits / (hits + misses) : 0
+    };
+};
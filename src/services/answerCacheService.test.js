@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals';
+import { cosineSimilarity } from '../utils/similarity.js';
+
+// In-memory stand-ins for the answer cache collection and the Redis keys
+let collectionExists = false;
+const points = new Map();
+const redis = new Map();
+
+const matchesCondition = (payload, condition) => {
+    if (condition.match) {
+        return payload[condition.key] === condition.match.value;
+    }
+    const { gte = -Infinity, lt = Infinity } = condition.range;
+    return payload[condition.key] >= gte && payload[condition.key] < lt;
+};
+
+const qdrant = {
+    collectionExists: jest.fn(async () => ({ exists: collectionExists })),
+    getCollection: jest.fn(async () => ({ config: { params: { vectors: { size: 2 } } } })),
+    createCollection: jest.fn(async () => {
+        collectionExists = true;
+    }),
+    createPayloadIndex: jest.fn(async () => {}),
+    upsert: jest.fn(async (collection, { points: batch }) => batch.forEach(point => points.set(point.id, point))),
+    search: jest.fn(async (collection, { vector, filter, limit, score_threshold: threshold }) => [...points.values()]
+        .filter(point => filter.must.every(condition => matchesCondition(point.payload, condition)))
+        .map(point => ({ id: point.id, score: cosineSimilarity(vector, point.vector) }))
+        .filter(hit => hit.score >= threshold)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)),
+    delete: jest.fn(async (collection, { points: ids, filter }) => {
+        for (const point of [...points.values()]) {
+            if (ids?.includes(point.id) || filter?.should.some(condition => matchesCondition(point.payload, condition))) {
+                points.delete(point.id);
+            }
+        }
+    })
+};
+
+jest.unstable_mockModule('@qdrant/js-client-rest', () => ({ QdrantClient: class { constructor() { return qdrant; } } }));
+jest.unstable_mockModule('../utils/redisClient.js', () => ({
+    default: {
+        get: async (key) => redis.get(key) ?? null,
+        set: async (key, value) => redis.set(key, value),
+        incr: async (key) => {
+            redis.set(key, String(parseInt(redis.get(key) || 0) + 1));
+            return parseInt(redis.get(key));
+        },
+        hIncrBy: async () => 1,
+        hGetAll: async () => ({})
+    }
+}));
+
+process.env.ANSWER_CACHE_THRESHOLD = '0.95';
+
+const { lookupAnswer, storeAnswer, invalidateAnswerCache } = await import('./answerCacheService.js');
+
+const scope = { collection: 'news', retrieval: { mode: 'vector' }, prompt: 'default@1', provider: 'mock', model: 'mock' };
+const result = { answer: 'The monsoon arrived early [1].', sources: [] };
+
+// Runs first: the module remembers the collection once it has been set up
+describe('collection setup', () => {
+    test('creates the collection only once it is known to be missing', async () => {
+        qdrant.collectionExists.mockRejectedValueOnce(new Error('Unauthorized'));
+
+        await expect(lookupAnswer([1, 0], scope)).rejects.toThrow('Unauthorized');
+        expect(qdrant.createCollection).not.toHaveBeenCalled();
+
+        expect(await lookupAnswer([1, 0], scope)).toBeNull();
+        expect(qdrant.createCollection).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('answer cache', () => {
+    beforeEach(() => {
+        points.clear();
+        redis.clear();
+        jest.clearAllMocks();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('returns a stored answer for a query at least as similar as the threshold', async () => {
+        await storeAnswer([1, 0], scope, 'When did the monsoon arrive?', result);
+
+        const hit = await lookupAnswer([0.99, 0.1], scope);
+
+        expect(hit).toMatchObject({ query: 'When did the monsoon arrive?', result });
+        expect(hit.similarity).toBeGreaterThanOrEqual(0.95);
+    });
+
+    test('returns null below the similarity threshold', async () => {
+        await storeAnswer([1, 0], scope, 'When did the monsoon arrive?', result);
+
+        // cos([1, 0], [0.9, 0.44]) is about 0.9
+        expect(await lookupAnswer([0.9, 0.44], scope)).toBeNull();
+    });
+
+    test('returns null for a different scope', async () => {
+        await storeAnswer([1, 0], scope, 'When did the monsoon arrive?', result);
+
+        expect(await lookupAnswer([1, 0], { ...scope, model: 'other' })).toBeNull();
+    });
+
+    test('returns null across snapshots once ingestion invalidates the cache', async () => {
+        await storeAnswer([1, 0], scope, 'When did the monsoon arrive?', result);
+        await invalidateAnswerCache();
+
+        expect(await lookupAnswer([1, 0], scope)).toBeNull();
+
+        await storeAnswer([1, 0], scope, 'When did the monsoon arrive?', { ...result, answer: 'Newer answer' });
+        expect((await lookupAnswer([1, 0], scope)).result.answer).toBe('Newer answer');
+    });
+
+    test('drops a point whose answer already expired in Redis', async () => {
+        await storeAnswer([1, 0], scope, 'When did the monsoon arrive?', result);
+        [...redis.keys()].filter(key => key.startsWith('answer-cache:entry:')).forEach(key => redis.delete(key));
+
+        expect(await lookupAnswer([1, 0], scope)).toBeNull();
+        expect(points.size).toBe(0);
+    });
+
+    test('does not fail a store when the background prune fails', async () => {
+        jest.useFakeTimers({ now: Date.now() + 2 * 60 * 1000, doNotFake: ['nextTick', 'setImmediate'] });
+        qdrant.delete.mockRejectedValueOnce(new Error('Qdrant timed out'));
+
+        await expect(storeAnswer([1, 0], scope, 'When did the monsoon arrive?', result)).resolves.toBeUndefined();
+        expect(qdrant.delete).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import jwt from 'jsonwebtoken';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+export const ROLES = ['admin', 'user'];
+
+const JWT_SECRET = process.env.JWT_SECRET || null;
+const JWT_ISSUER = process.env.JWT_ISSUER || undefined;
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE || undefined;
+// Local development only: every request is treated as an admin
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+
+/**
+ * Parse API_KEYS: comma-separated `name:key:role` entries, e.g. `ops:s3cret:admin,web:abc123:user`
+ * @param {string} [value] - Raw setting
+ * @returns {Array} `{ name, digest, role }` per key; keys are kept only as SHA-256 digests
+ */
+const parseApiKeys = (value) => (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+        const [name, key, role = 'user'] = entry.split(':').map(part => part.trim());
+        if (!name || !key || !ROLES.includes(role)) {
+            throw new Error(`Invalid API_KEYS entry "${name || entry}". Expected name:key:role with role one of: ${ROLES.join(', ')}`);
+        }
+        return { name, digest: sha256(key), role };
+    });
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+const API_KEYS = parseApiKeys(process.env.API_KEYS);
+
+if (AUTH_DISABLED) {
+    logger.warn('AUTH_DISABLED=true: authentication is off and every caller is an admin');
+} else if (API_KEYS.length === 0 && !JWT_SECRET) {
+    logger.warn('No API_KEYS or JWT_SECRET configured: every API and socket request will be rejected');
+}
+
+/*
+ * An authenticated principal has the shape:
+ *   {
+ *     id: string,              // stable identifier sessions are bound to (`key:<name>` or `jwt:<sub>`)
+ *     role: 'admin' | 'user',
+ *     authType: 'api-key' | 'jwt' | 'disabled'
+ *   }
+ */
+
+/**
+ * Look up an API key. Every configured digest is compared in constant time, with no early exit, so
+ * response timing reveals neither whether a key matched nor which one.
+ * @param {string} key - Presented key
+ * @returns {Object|null} Principal
+ */
+const authenticateApiKey = (key) => {
+    const digest = sha256(key);
+    let match = null;
+    for (const entry of API_KEYS) {
+        const equal = crypto.timingSafeEqual(entry.digest, digest);
+        match = equal && !match ? entry : match;
+    }
+    return match ? { id: `key:${match.name}`, role: match.role, authType: 'api-key' } : null;
+};
+
+/**
+ * Verify an HS256 JWT. The subject (`sub`) identifies the user and `role` defaults to user. IDs are
+ * prefixed per credential kind, so a JWT whose subject is `key:ops` cannot act as the `ops` API key.
+ * @param {string} token - Presented token
+ * @returns {Object|null} Principal, or null when the token is invalid or expired
+ */
+const authenticateJwt = (token) => {
+    if (!JWT_SECRET) {
+        return null;
+    }
+    try {
+        const claims = jwt.verify(token, JWT_SECRET, {
+            algorithms: ['HS256'],
+            issuer: JWT_ISSUER,
+            audience: JWT_AUDIENCE
+        });
+        const role = claims.role || 'user';
+        if (!claims.sub || !ROLES.includes(role)) {
+            return null;
+        }
+        return { id: `jwt:${claims.sub}`, role, authType: 'jwt' };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Resolve the caller behind a credential
+ * @param {string|null} credential - API key or JWT
+ * @returns {Object|null} Principal, or null when the credential is missing or invalid
+ */
+export const authenticateCredential = (credential) => {
+    if (AUTH_DISABLED) {
+        return { id: 'anonymous', role: 'admin', authType: 'disabled' };
+    }
+    if (!credential) {
+        return null;
+    }
+    return authenticateApiKey(credential) || authenticateJwt(credential);
+};
+
+/**
+ * Pull the credential out of request or handshake headers
+ * (`Authorization: Bearer <key or JWT>` or `X-API-Key: <key>`)
+ * @param {Object} headers - Lower-cased header map
+ * @returns {string|null} Credential
+ */
+export const extractCredential = (headers = {}) => {
+    const authorization = headers.authorization || '';
+    if (authorization.toLowerCase().startsWith('bearer ')) {
+        return authorization.slice(7).trim() || null;
+    }
+    return headers['x-api-key'] || null;
+};
+
+/**
+ * Whether a principal may act on another user's resources
+ * @param {Object} user - Principal
+ * @returns {boolean}
+ */
+export const isAdmin = (user) => user?.role === 'admin';
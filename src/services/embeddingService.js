@@ -0,0 +1,297 @@
+import dotenv from 'dotenv';
+import axios from 'axios';
+import { withRetry, sleep } from '../utils/retry.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import logger from '../utils/logger.js';
+import { recordProviderSuccess, recordProviderFailure } from '../utils/providerStatus.js';
+
+dotenv.config();
+
+const EMBEDDING_PROVIDER = (process.env.EMBEDDING_PROVIDER || 'jina').toLowerCase();
+const EMBEDDING_DIMENSIONS = parseInt(process.env.EMBEDDING_DIMENSIONS) || null;
+
+const JINA_API_KEY = process.env.JINA_API_KEY;
+const JINA_API_URL = 'https://api.jina.ai/v1/embeddings';
+
+const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE) || 32;
+const EMBEDDING_CONCURRENCY = parseInt(process.env.EMBEDDING_CONCURRENCY) || 2;
+const EMBEDDING_MAX_RETRIES = parseInt(process.env.EMBEDDING_MAX_RETRIES) || 4;
+const EMBEDDING_RETRY_BASE_MS = parseInt(process.env.EMBEDDING_RETRY_BASE_MS) || 500;
+// Per request; a provider that stops answering fails the attempt (and is retried) instead of stalling
+const EMBEDDING_TIMEOUT_MS = parseInt(process.env.EMBEDDING_TIMEOUT_MS) || 30000;
+const RETRY_QUEUE_DELAY_MS = 2000;
+
+const DEFAULT_HASHING_DIMENSIONS = 384;
+const JINA_V3_DIMENSIONS = 1024;
+
+/*
+ * An embedding provider has the shape:
+ *   {
+ *     name: string,                       // provider identifier (jina, openai, hashing)
+ *     model: string,                      // model name recorded on every stored point
+ *     embed(texts): Promise<number[][]>,  // one vector per input, in input order
+ *     getDimension(): Promise<number>     // vector size, used to create the Qdrant collection
+ *   }
+ */
+
+/**
+ * Create a provider for Jina's embeddings API
+ * @returns {Object} Embedding provider
+ */
+const createJinaProvider = () => {
+    const model = process.env.EMBEDDING_MODEL || 'jina-embeddings-v3';
+
+    return {
+        name: 'jina',
+        model,
+        async embed(texts) {
+            const body = { model, input: texts };
+            if (EMBEDDING_DIMENSIONS) {
+                body.dimensions = EMBEDDING_DIMENSIONS;
+            }
+
+            const response = await axios.post(JINA_API_URL, body, {
+                timeout: EMBEDDING_TIMEOUT_MS,
+                headers: {
+                    'Authorization': `Bearer ${JINA_API_KEY}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            return response.data.data.map(item => item.embedding);
+        },
+        async getDimension() {
+            return EMBEDDING_DIMENSIONS || JINA_V3_DIMENSIONS;
+        }
+    };
+};
+
+/**
+ * Create a provider for any server exposing an OpenAI-compatible /embeddings endpoint
+ * (OpenAI, Ollama, vLLM, LM Studio, text-embeddings-inference, ...)
+ * @returns {Object} Embedding provider
+ */
+const createOpenAICompatibleProvider = () => {
+    const baseUrl = (process.env.EMBEDDING_API_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const apiKey = process.env.EMBEDDING_API_KEY;
+    const model = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+    let dimension = EMBEDDING_DIMENSIONS;
+
+    const embed = async (texts) => {
+        const body = { model, input: texts };
+        if (EMBEDDING_DIMENSIONS) {
+            body.dimensions = EMBEDDING_DIMENSIONS;
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) {
+            headers['Authorization'] = `Bearer ${apiKey}`;
+        }
+
+        const response = await axios.post(`${baseUrl}/embeddings`, body, { headers, timeout: EMBEDDING_TIMEOUT_MS });
+
+        // The spec returns items with an index; do not rely on servers preserving order
+        return [...response.data.data]
+            .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+            .map(item => item.embedding);
+    };
+
+    return {
+        name: 'openai',
+        model,
+        embed,
+        async getDimension() {
+            // Without a configured size, ask the server once
+            if (!dimension) {
+                const [vector] = await embed(['dimension probe']);
+                dimension = vector.length;
+            }
+            return dimension;
+        }
+    };
+};
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text - Input text
+ * @returns {number} Unsigned 32-bit hash
+ */
+const fnv1a = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Create a local, deterministic feature-hashing embedder.
+ * Needs no network or API key, so development and CI work offline. Similarity is
+ * lexical (shared words and word pairs), not semantic.
+ * @returns {Object} Embedding provider
+ */
+const createHashingProvider = () => {
+    const dimension = EMBEDDING_DIMENSIONS || DEFAULT_HASHING_DIMENSIONS;
+
+    const embedOne = (text) => {
+        const vector = new Array(dimension).fill(0);
+        const tokens = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+        const features = [...tokens, ...tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`)];
+
+        for (const feature of features) {
+            const hash = fnv1a(feature);
+            // The top bit picks the sign so collisions tend to cancel rather than accumulate
+            vector[hash % dimension] += (hash & 0x80000000) ? -1 : 1;
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return norm > 0 ? vector.map(value => value / norm) : vector;
+    };
+
+    return {
+        name: 'hashing',
+        model: `hashing-${dimension}`,
+        async embed(texts) {
+            return texts.map(embedOne);
+        },
+        async getDimension() {
+            return dimension;
+        }
+    };
+};
+
+const PROVIDERS = {
+    jina: createJinaProvider,
+    openai: createOpenAICompatibleProvider,
+    hashing: createHashingProvider
+};
+
+let provider = null;
+
+/**
+ * Get the embedding provider selected by EMBEDDING_PROVIDER (jina, openai or hashing)
+ * @returns {Object} Embedding provider
+ */
+export const getEmbeddingProvider = () => {
+    if (!provider) {
+        const factory = PROVIDERS[EMBEDDING_PROVIDER];
+        if (!factory) {
+            throw new Error(`Unknown EMBEDDING_PROVIDER "${EMBEDDING_PROVIDER}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+        }
+        provider = factory();
+        logger.info('Using embedding provider', { provider: provider.name, model: provider.model });
+    }
+    return provider;
+};
+
+/**
+ * Embed several texts in a single provider request, retrying rate limits and server errors
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Array<Array<number>>} One vector per text
+ */
+export const generateEmbeddings = async (texts) => {
+    try {
+        const current = getEmbeddingProvider();
+        const startedAt = Date.now();
+        let vectors;
+        try {
+            vectors = await withRetry(() => current.embed(texts), {
+                retries: EMBEDDING_MAX_RETRIES,
+                baseDelayMs: EMBEDDING_RETRY_BASE_MS,
+                label: `${current.name} embedding request`
+            });
+            recordProviderSuccess('embedding', current.name, Date.now() - startedAt);
+        } catch (error) {
+            recordProviderFailure('embedding', current.name, error, Date.now() - startedAt);
+            throw error;
+        }
+
+        if (vectors.length !== texts.length) {
+            throw new Error(`Embedding provider returned ${vectors.length} vectors for ${texts.length} inputs`);
+        }
+
+        return vectors;
+    } catch (error) {
+        logger.error('Error generating embeddings', { error });
+        throw error;
+    }
+};
+
+/**
+ * Embed a single text with the configured provider
+ * @param {string} text - Text to embed
+ * @returns {Array<number>} Embedding vector
+ */
+export const generateEmbedding = async (text) => {
+    const [vector] = await generateEmbeddings([text]);
+    return vector;
+};
+
+/**
+ * Embed many texts in batches with bounded concurrency.
+ * Inputs from batches that still fail after retries go into a per-run retry queue and are
+ * retried one by one at the end, so a single bad input cannot sink its whole batch.
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Inputs per provider request
+ * @param {number} [options.concurrency] - Provider requests in flight at once
+ * @param {Function} [options.onResult] - Called as `(index, vector|null)` once an input is final
+ * @returns {Object} `{ vectors, failed }` where vectors[i] is null for inputs listed in failed
+ */
+export const embedInBatches = async (texts, {
+    batchSize = EMBEDDING_BATCH_SIZE,
+    concurrency = EMBEDDING_CONCURRENCY,
+    onResult = () => {}
+} = {}) => {
+    const vectors = new Array(texts.length).fill(null);
+    const failed = [];
+    const retryQueue = [];
+
+    const batches = [];
+    for (let i = 0; i < texts.length; i += batchSize) {
+        batches.push(texts.slice(i, i + batchSize).map((_, offset) => i + offset));
+    }
+
+    await mapWithConcurrency(batches, concurrency, async (indices, batchIndex) => {
+        try {
+            const batchVectors = await generateEmbeddings(indices.map(index => texts[index]));
+            indices.forEach((index, position) => {
+                vectors[index] = batchVectors[position];
+                onResult(index, vectors[index]);
+            });
+        } catch (error) {
+            logger.error('Embedding batch failed, queueing inputs for retry', { batch: batchIndex + 1, batches: batches.length, inputCount: indices.length });
+            retryQueue.push(...indices);
+        }
+    });
+
+    if (retryQueue.length > 0) {
+        await sleep(RETRY_QUEUE_DELAY_MS);
+        logger.info('Retrying queued embedding inputs individually', { inputCount: retryQueue.length });
+
+        await mapWithConcurrency(retryQueue, concurrency, async (index) => {
+            try {
+                [vectors[index]] = await generateEmbeddings([texts[index]]);
+            } catch (error) {
+                failed.push({ index, error: error.message });
+            }
+            onResult(index, vectors[index]);
+        });
+    }
+
+    return { vectors, failed };
+};
+
+/**
+ * Describe the embedding model in use, as recorded on stored points
+ * @returns {Object} `{ provider, model, dimension }`
+ */
+export const getEmbeddingInfo = async () => {
+    const current = getEmbeddingProvider();
+    return {
+        provider: current.name,
+        model: current.model,
+        dimension: await current.getDimension()
+    };
+};
@@ -0,0 +1,33 @@
+import { jest } from '@jest/globals';
+
+const post = jest.fn();
+jest.unstable_mockModule('axios', () => ({ default: { post } }));
+
+process.env.EMBEDDING_PROVIDER = 'jina';
+process.env.EMBEDDING_TIMEOUT_MS = '1500';
+process.env.EMBEDDING_RETRY_BASE_MS = '1';
+
+const { generateEmbeddings } = await import('./embeddingService.js');
+
+const timeoutError = () => Object.assign(new Error('timeout of 1500ms exceeded'), { code: 'ECONNABORTED' });
+
+describe('generateEmbeddings', () => {
+    beforeEach(() => {
+        post.mockReset();
+    });
+
+    test('gives every provider request the configured timeout', async () => {
+        post.mockResolvedValue({ data: { data: [{ embedding: [0.1, 0.2] }] } });
+
+        expect(await generateEmbeddings(['text'])).toEqual([[0.1, 0.2]]);
+        expect(post.mock.calls[0][2]).toMatchObject({ timeout: 1500 });
+    });
+
+    test('retries a request that timed out', async () => {
+        post.mockRejectedValueOnce(timeoutError())
+            .mockResolvedValueOnce({ data: { data: [{ embedding: [0.3, 0.4] }] } });
+
+        expect(await generateEmbeddings(['text'])).toEqual([[0.3, 0.4]]);
+        expect(post).toHaveBeenCalledTimes(2);
+    });
+});
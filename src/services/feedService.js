@@ -0,0 +1,181 @@
+import pgPool from '../utils/pgClient.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+const DEFAULT_ITEM_LIMIT = 50;
+
+/**
+ * Map a news_feeds row to the API representation
+ * @param {Object} row - Database row
+ * @returns {Object} Feed object
+ */
+const mapFeedRow = (row) => ({
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    source: row.source,
+    categories: row.categories || [],
+    itemLimit: row.item_limit,
+    enabled: row.enabled,
+    lastIngestedAt: row.last_ingested_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+/**
+ * Register a new RSS feed
+ * @param {Object} feed - Feed definition
+ * @param {string} feed.url - RSS feed URL
+ * @param {string} feed.source - Source label stored on every ingested article
+ * @param {string} [feed.name] - Human readable name (defaults to the source label)
+ * @param {Array<string>} [feed.categories] - Category tags added to every ingested article
+ * @param {number} [feed.itemLimit] - Maximum number of items taken from the feed per run
+ * @param {boolean} [feed.enabled] - Whether the feed is included in default ingestion runs
+ * @returns {Object} Created feed
+ */
+export const createFeed = async ({ url, source, name, categories = [], itemLimit = DEFAULT_ITEM_LIMIT, enabled = true }) => {
+    try {
+        const insertQuery = `
+            INSERT INTO news_feeds (id, name, url, source, categories, item_limit, enabled)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *;
+        `;
+
+        const values = [uuidv4(), name || source, url, source, categories, itemLimit, enabled];
+        const result = await pgPool.query(insertQuery, values);
+
+        return mapFeedRow(result.rows[0]);
+    } catch (error) {
+        logger.error('Error creating feed', { error });
+        throw error;
+    }
+};
+
+/**
+ * Retrieve a feed by ID
+ * @param {string} feedId - Feed identifier
+ * @returns {Object|null} Feed or null if not found
+ */
+export const getFeed = async (feedId) => {
+    try {
+        const result = await pgPool.query('SELECT * FROM news_feeds WHERE id = $1;', [feedId]);
+        return result.rows.length > 0 ? mapFeedRow(result.rows[0]) : null;
+    } catch (error) {
+        logger.error('Error retrieving feed', { error });
+        throw error;
+    }
+};
+
+/**
+ * List registered feeds
+ * @param {Object} [options]
+ * @param {boolean} [options.enabledOnly] - Only return enabled feeds
+ * @param {Array<string>} [options.ids] - Restrict to these feed IDs
+ * @returns {Array} Array of feeds
+ */
+export const listFeeds = async ({ enabledOnly = false, ids = null } = {}) => {
+    try {
+        const conditions = [];
+        const values = [];
+
+        if (enabledOnly) {
+            conditions.push('enabled = TRUE');
+        }
+
+        if (ids) {
+            values.push(ids);
+            conditions.push(`id = ANY($${values.length}::uuid[])`);
+        }
+
+        const selectQuery = `
+            SELECT * FROM news_feeds
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY created_at ASC;
+        `;
+
+        const result = await pgPool.query(selectQuery, values);
+        return result.rows.map(mapFeedRow);
+    } catch (error) {
+        logger.error('Error listing feeds', { error });
+        throw error;
+    }
+};
+
+/**
+ * Update a feed
+ * @param {string} feedId - Feed identifier
+ * @param {Object} updates - Fields to update (name, url, source, categories, itemLimit, enabled)
+ * @returns {Object|null} Updated feed or null if not found
+ */
+export const updateFeed = async (feedId, updates) => {
+    try {
+        const columns = {
+            name: 'name',
+            url: 'url',
+            source: 'source',
+            categories: 'categories',
+            itemLimit: 'item_limit',
+            enabled: 'enabled'
+        };
+
+        const assignments = [];
+        const values = [];
+
+        for (const [field, column] of Object.entries(columns)) {
+            if (updates[field] !== undefined) {
+                values.push(updates[field]);
+                assignments.push(`${column} = $${values.length}`);
+            }
+        }
+
+        if (assignments.length === 0) {
+            return getFeed(feedId);
+        }
+
+        values.push(feedId);
+        const updateQuery = `
+            UPDATE news_feeds
+            SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $${values.length}
+            RETURNING *;
+        `;
+
+        const result = await pgPool.query(updateQuery, values);
+        return result.rows.length > 0 ? mapFeedRow(result.rows[0]) : null;
+    } catch (error) {
+        logger.error('Error updating feed', { error });
+        throw error;
+    }
+};
+
+/**
+ * Delete a feed from the registry
+ * @param {string} feedId - Feed identifier
+ * @returns {boolean} True if a feed was deleted
+ */
+export const deleteFeed = async (feedId) => {
+    try {
+        const result = await pgPool.query('DELETE FROM news_feeds WHERE id = $1 RETURNING id;', [feedId]);
+        return result.rows.length > 0;
+    } catch (error) {
+        logger.error('Error deleting feed', { error });
+        throw error;
+    }
+};
+
+/**
+ * Record a completed ingestion run for a feed
+ * @param {string} feedId - Feed identifier
+ * @param {Date} ingestedAt - Time of the ingestion run
+ */
+export const markFeedIngested = async (feedId, ingestedAt = new Date()) => {
+    try {
+        await pgPool.query(
+            'UPDATE news_feeds SET last_ingested_at = $1 WHERE id = $2;',
+            [ingestedAt, feedId]
+        );
+    } catch (error) {
+        logger.error('Error marking feed as ingested', { error });
+        throw error;
+    }
+};
@@ -1,109 +1,431 @@
-import { GoogleGenerativeAI } from "@google/generative-ai"
 import dotenv from 'dotenv';
-import { getTopKChunks } from '../services/retrieverService.js'
+import { getTopKArticles, embedQuery } from '../services/retrieverService.js'
+import { generateText, streamText, getLLMProvider } from './llmService.js';
+import { resolvePromptTemplate, renderPrompt } from './promptService.js';
+import { isAnswerCacheEnabled, lookupAnswer, storeAnswer, recordCacheBypass } from './answerCacheService.js';
+import { sanitizeCitations, createCitationFilter, collectCitedSources } from '../utils/citations.js';
+import logger, { redact } from '../utils/logger.js';
+import { generationDuration, generationFirstTokenDuration, llmErrors } from '../utils/metrics.js';
 
 dotenv.config();
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// Defaults to the provider's fast model
+const CONDENSE_MODEL = process.env.CONDENSE_MODEL;
+// Conversation turns used to rewrite follow-ups and shown to the model when answering
+const CHAT_HISTORY_TURNS = parseInt(process.env.CHAT_HISTORY_TURNS) || 4;
+// Earlier answers are truncated so history cannot crowd out the retrieved context
+const MAX_HISTORY_RESPONSE_CHARS = 600;
+const NO_ANSWER = "I did not find relevant information";
 
-async function generateAnswer(query) {
-    try {
-        const chunks = await getTopKChunks(query);
-        if (!chunks || chunks.length === 0) {
-            return "I did not find relevant information";
-        }
+// Milliseconds since `start`, a performance.now() reading
+function elapsedMs(start) {
+    return Math.round(performance.now() - start);
+}
+
+// Article IDs and retrieval scores of the context given to the model, stored with each answer
+function summarizeRetrieved(articles) {
+    return articles.map(article => ({ articleId: article.id, score: article.score }));
+}
 
-        console.log("Starting Gemini response generation...");
+// Count a failed LLM request, unless it failed because the caller cancelled it
+function recordLLMError(operation, signal) {
+    if (!signal?.aborted) {
+        llmErrors.inc({ provider: getLLMProvider().name, operation });
+    }
+}
+
+// Format the most recent session turns for a prompt
+function buildHistory(history) {
+    return history
+        .slice(-CHAT_HISTORY_TURNS)
+        .map(turn => {
+            const response = turn.botResponse || '';
+            const truncated = response.length > MAX_HISTORY_RESPONSE_CHARS
+                ? `${response.slice(0, MAX_HISTORY_RESPONSE_CHARS)}...`
+                : response;
+            return `User: ${turn.userQuery}\nAssistant: ${truncated}`;
+        })
+        .join("\n\n");
+}
 
-        // Build context string from retrieved chunks
-        const context = chunks
-            .map(
-                (c, i) =>
-                    `Source ${i + 1}:\n${c.metadata.textContent}\nRead more: ${c.metadata.link}`
-            )
-            .join("\n\n");
+// Prompt section with the conversation so far (empty without history)
+function buildHistorySection(history) {
+    if (history.length === 0) {
+        return '';
+    }
+    return `
+Conversation so far (use it to understand what the query refers to):
+${buildHistory(history)}
+`;
+}
 
-        const model = genAI.getGenerativeModel({ model: "gemini-1.5-pro" });
+/**
+ * Rewrite a follow-up question into a standalone query for retrieval, using recent session turns.
+ * Returns the query unchanged when there is no history or the rewrite fails.
+ * @param {string} query - Latest user query
+ * @param {Array} history - Session messages ({ userQuery, botResponse }) in chronological order
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the rewrite request
+ * @returns {string} Standalone query
+ */
+async function condenseQuery(query, history = [], { signal } = {}) {
+    if (history.length === 0) {
+        return query;
+    }
 
+    try {
         const prompt = `
-You are an assistant that answers questions based on retrieved news articles.
-Use the provided context to answer the query. If the answer is not in the context, say "I did not find relevant information"
+Rewrite the user's latest question as a standalone search query for a news archive.
+Resolve pronouns and references ("that", "he", "after that") using the conversation. Keep names, places, numbers and dates.
+If the question is already standalone, return it unchanged. Respond with only the query.
 
-Query: ${query}
+Conversation:
+${buildHistory(history)}
 
-Context:
-${context}
+Latest question: ${query}
 
-Answer:
+Standalone query:
 `;
 
-        const result = await model.generateContent(prompt);
-        return result.response.text();
+        const { text } = await generateText(prompt, { model: CONDENSE_MODEL || getLLMProvider().fastModel, signal });
+        const condensed = text.trim().replace(/^["']|["']$/g, '');
+        logger.debug('Condensed follow-up question', { query: redact(query), standaloneQuery: redact(condensed) });
+        return condensed || query;
     } catch (error) {
-        console.error('Error generating answer:', error);
-        throw error;
+        recordLLMError('condense', signal);
+        logger.error('Error condensing query, using it as is', { error });
+        return query;
     }
 }
 
-async function generateAnswerStream(query, onChunk, onComplete) {
+// Build context string from retrieved articles and their matched chunks
+function buildContext(articles) {
+    return articles
+        .map(
+            (a, i) =>
+                `Source ${i + 1}: ${a.metadata.title}\n${a.text}\nRead more: ${a.metadata.link}`
+        )
+        .join("\n\n");
+}
+
+// Pick the answer prompt template for a request, failing loudly on a misconfigured default
+function selectTemplate(prompt) {
+    const template = resolvePromptTemplate(prompt);
+    if (!template) {
+        throw new Error(`No prompt template matches ${JSON.stringify(prompt)}; check PROMPT_TEMPLATE and PROMPT_VERSION`);
+    }
+    return template;
+}
+
+// Answer prompt; sources are numbered so the model can cite them as [n]
+function buildAnswerPrompt(template, { query, articles, history, language }) {
+    return renderPrompt(template, {
+        query,
+        context: buildContext(articles),
+        history: buildHistorySection(history),
+        language
+    });
+}
+
+// Everything besides the query that shapes an answer; cached answers are only shared within one scope
+function buildCacheScope(retrieval, promptInfo, language) {
+    const llm = getLLMProvider();
+    return {
+        collection: retrieval.collection || process.env.QDRANT_COLLECTION_NAME || 'news',
+        retrieval: { k: retrieval.k, mode: retrieval.mode, filters: retrieval.filters, rerank: retrieval.rerank },
+        prompt: { ...promptInfo, language: language || null },
+        provider: llm.name,
+        model: llm.model
+    };
+}
+
+// Embed the standalone query and look it up in the answer cache. The embedding is returned for
+// retrieval to reuse on a miss. Cache failures are logged and treated as misses.
+async function checkAnswerCache(retrievalQuery, scope) {
     try {
-        const chunks = await getTopKChunks(query);
-        if (!chunks || chunks.length === 0) {
-            onComplete("I did not find relevant information");
-            return;
+        const queryVector = await embedQuery(retrievalQuery);
+        const hit = await lookupAnswer(queryVector, scope);
+        if (hit) {
+            logger.info('Answer cache hit', { similarity: Number(hit.similarity.toFixed(3)), cachedQuery: redact(hit.query) });
         }
+        return { queryVector, hit };
+    } catch (error) {
+        logger.error('Error reading answer cache', { error });
+        return { queryVector: null, hit: null };
+    }
+}
 
-        console.log("Starting Gemini streaming response generation...");
+// Cache a freshly generated answer without delaying the response
+function cacheAnswer(queryVector, scope, retrievalQuery, { answer, sources, provider, model, prompt }) {
+    storeAnswer(queryVector, scope, retrievalQuery, { answer, sources, provider, model, prompt })
+        .catch(error => logger.error('Error writing answer cache', { error }));
+}
 
-        // Build context string from retrieved chunks
-        const context = chunks
-            .map(
-                (c, i) =>
-                    `Source ${i + 1}:\n${c.metadata.textContent}\nRead more: ${c.metadata.link}`
-            )
-            .join("\n\n");
+/**
+ * Condense the query and consult the answer cache, shared by generateAnswer and generateAnswerStream
+ * @returns {Object} `{ retrievalQuery, scope, queryVector, hit }`; scope is null when the cache is not used
+ */
+async function prepareAnswer(query, { retrieval, history, promptInfo, language, cache, signal }) {
+    const retrievalQuery = await condenseQuery(query, history, { signal });
+    signal?.throwIfAborted();
 
-        const model = genAI.getGenerativeModel({ model: "gemini-1.5-pro" });
+    if (!isAnswerCacheEnabled()) {
+        return { retrievalQuery, scope: null, queryVector: null, hit: null };
+    }
+    if (!cache) {
+        recordCacheBypass();
+        return { retrievalQuery, scope: null, queryVector: null, hit: null };
+    }
 
-        const prompt = `
-You are an assistant that answers questions based on retrieved news articles.
-Use the provided context to answer the query. If the answer is not in the context, say "I did not find relevant information"
+    const scope = buildCacheScope(retrieval, promptInfo, language);
+    const { queryVector, hit } = await checkAnswerCache(retrievalQuery, scope);
+    signal?.throwIfAborted();
+    return { retrievalQuery, scope, queryVector, hit };
+}
 
-Query: ${query}
+/**
+ * Generate an answer for a query from retrieved news articles
+ * @param {string} query - User query
+ * @param {Object} [options]
+ * @param {Object} [options.retrieval] - Retrieval options passed to getTopKArticles (mode, k)
+ * @param {Array} [options.history] - Earlier session messages; follow-ups are condensed into a standalone query
+ * @param {Object} [options.prompt] - Prompt template selection `{ id, version, language }` (default from config)
+ * @param {Function} [options.onRetrieved] - Called as `(articles, { retrievalQuery })` before generation
+ * @param {AbortSignal} [options.signal] - Cancels the request; generateAnswer then rejects with the abort reason
+ * @param {boolean} [options.cache] - Set to false to bypass the semantic answer cache
+ * @returns {Object} `{ answer, sources, retrieved, timings, standaloneQuery, provider, model, prompt, cached }`;
+ * `sources` lists the articles cited in the answer, `retrieved` the `{ articleId, score }` of every article given to
+ * the model, `timings` is `{ retrievalMs, firstTokenMs, generationMs, totalMs }` (null for steps that did not run;
+ * firstTokenMs, counted from the start of the answer, only when streaming), `provider` and `model` identify what
+ * generated it (null when nothing was retrieved), `prompt` is the `{ id, version }` of the template used and `cached`
+ * tells whether it came from the answer cache
+ */
+async function generateAnswer(query, { retrieval = {}, history = [], prompt = {}, onRetrieved = () => {}, signal, cache = true } = {}) {
+    const startedAt = performance.now();
+    const timings = { retrievalMs: null, firstTokenMs: null, generationMs: null, totalMs: null };
 
-Context:
-${context}
+    try {
+        const template = selectTemplate(prompt);
+        const promptInfo = { id: template.id, version: template.version };
+        const { retrievalQuery, scope, queryVector, hit } = await prepareAnswer(query, {
+            retrieval, history, promptInfo, language: prompt.language, cache, signal
+        });
 
-Answer:
-`;
+        if (hit) {
+            onRetrieved([], { retrievalQuery, cached: true });
+            timings.totalMs = elapsedMs(startedAt);
+            return { ...hit.result, retrieved: [], timings, standaloneQuery: retrievalQuery, cached: true };
+        }
+
+        const retrievalStart = performance.now();
+        const articles = await getTopKArticles(retrievalQuery, { ...retrieval, queryVector });
+        timings.retrievalMs = elapsedMs(retrievalStart);
+        signal?.throwIfAborted();
+        onRetrieved(articles, { retrievalQuery });
+        if (articles.length === 0) {
+            timings.totalMs = elapsedMs(startedAt);
+            return { answer: NO_ANSWER, sources: [], retrieved: [], timings, standaloneQuery: retrievalQuery, provider: null, model: null, prompt: promptInfo, cached: false };
+        }
+
+        logger.info('Generating answer', { prompt: promptInfo, articleCount: articles.length });
+
+        const endTimer = generationDuration.startTimer();
+        const generationStart = performance.now();
+        let generated;
+        try {
+            generated = await generateText(
+                buildAnswerPrompt(template, { query, articles, history, language: prompt.language }),
+                { signal }
+            );
+        } catch (error) {
+            recordLLMError('answer', signal);
+            throw error;
+        }
+        const { text, provider, model } = generated;
+        endTimer({ provider, model, streaming: 'false' });
+        timings.generationMs = elapsedMs(generationStart);
+        const answer = sanitizeCitations(text, articles.length);
+        timings.totalMs = elapsedMs(startedAt);
+
+        const result = {
+            answer,
+            sources: collectCitedSources(answer, articles),
+            retrieved: summarizeRetrieved(articles),
+            timings,
+            standaloneQuery: retrievalQuery,
+            provider,
+            model,
+            prompt: promptInfo,
+            cached: false
+        };
+        logger.info('Answer generated', { answerLength: answer.length, sourceCount: result.sources.length, provider, model });
+        if (scope && queryVector) {
+            cacheAnswer(queryVector, scope, retrievalQuery, result);
+        }
+        return result;
+    } catch (error) {
+        if (signal?.aborted) {
+            logger.info('Answer generation cancelled');
+            throw signal.reason;
+        }
+        logger.error('Error generating answer', { error });
+        throw error;
+    }
+}
+
+/**
+ * Stream an answer for a query from retrieved news articles.
+ * Citation markers are validated as they stream, so chunks never reference a missing source.
+ * Aborting `options.signal` stops retrieval and generation at the next step and calls
+ * `options.onCancelled` with the answer streamed so far instead of onComplete.
+ * @param {string} query - User query
+ * @param {Function} onChunk - Called with each text chunk as it arrives
+ * @param {Function} onComplete - Called with the same result object as generateAnswer once the answer is complete
+ * @param {Object} [options] - Same options as generateAnswer, plus:
+ * @param {Function} [options.onCancelled] - Called with the partial result (`truncated: true`) when cancelled
+ * A cached answer is replayed through onChunk in word-sized chunks, as if it were generated live.
+ */
+async function generateAnswerStream(query, onChunk, onComplete, {
+    retrieval = {},
+    history = [],
+    prompt = {},
+    onRetrieved = () => {},
+    signal,
+    onCancelled = () => {},
+    cache = true
+} = {}) {
+    let promptInfo = null;
+    let retrievalQuery = query;
+    let articles = [];
+    let fullResponse = '';
+    let generator = { provider: null, model: null };
+    const startedAt = performance.now();
+    const timings = { retrievalMs: null, firstTokenMs: null, generationMs: null, totalMs: null };
+
+    const cancelled = async () => {
+        logger.info('Streaming answer cancelled', { answerLength: fullResponse.length });
+        timings.totalMs = elapsedMs(startedAt);
+        await onCancelled({
+            answer: fullResponse,
+            sources: collectCitedSources(fullResponse, articles),
+            retrieved: summarizeRetrieved(articles),
+            timings,
+            standaloneQuery: retrievalQuery,
+            ...generator,
+            prompt: promptInfo,
+            truncated: true
+        });
+    };
+
+    try {
+        const template = selectTemplate(prompt);
+        promptInfo = { id: template.id, version: template.version };
+        const prepared = await prepareAnswer(query, {
+            retrieval, history, promptInfo, language: prompt.language, cache, signal
+        });
+        retrievalQuery = prepared.retrievalQuery;
 
-        const result = await model.generateContentStream(prompt);
-        let fullResponse = '';
+        if (prepared.hit) {
+            onRetrieved([], { retrievalQuery, cached: true });
+            const { result } = prepared.hit;
+            generator = { provider: result.provider, model: result.model };
+            for (const chunk of result.answer.match(/\S+\s*|\s+/g) || []) {
+                if (signal?.aborted) {
+                    await cancelled();
+                    return;
+                }
+                fullResponse += chunk;
+                onChunk(chunk);
+            }
+            timings.totalMs = elapsedMs(startedAt);
+            await onComplete({ ...result, retrieved: [], timings, standaloneQuery: retrievalQuery, cached: true });
+            return;
+        }
+
+        const retrievalStart = performance.now();
+        articles = await getTopKArticles(retrievalQuery, { ...retrieval, queryVector: prepared.queryVector });
+        timings.retrievalMs = elapsedMs(retrievalStart);
+        signal?.throwIfAborted();
+        onRetrieved(articles, { retrievalQuery });
+        if (articles.length === 0) {
+            timings.totalMs = elapsedMs(startedAt);
+            await onComplete({ answer: NO_ANSWER, sources: [], retrieved: [], timings, standaloneQuery: retrievalQuery, provider: null, model: null, prompt: promptInfo, cached: false });
+            return;
+        }
+
+        logger.info('Streaming answer', { prompt: promptInfo, articleCount: articles.length });
+
+        const { stream, provider, model } = streamText(
+            buildAnswerPrompt(template, { query, articles, history, language: prompt.language }),
+            { signal }
+        );
+        generator = { provider, model };
+        const citationFilter = createCitationFilter(articles.length);
         let totalChunks = 0;
+        const endTimer = generationDuration.startTimer({ provider, model, streaming: 'true' });
+        const endFirstTokenTimer = generationFirstTokenDuration.startTimer({ provider, model });
+        const generationStart = performance.now();
 
-        for await (const chunk of result.stream) {
-            totalChunks++;
-            const chunkText = chunk.text();
-            
-            console.log(`\n=== CHUNK ${totalChunks} ===`);
-            console.log(`Length: ${chunkText.length}`);
-            console.log(`Content: "${chunkText}"`);
-            console.log(`Full response so far length: ${fullResponse.length}`);
-            
-            if (chunkText && chunkText.length > 0) {
-                fullResponse += chunkText;
-                onChunk(chunkText);
+        const emit = (text) => {
+            if (text.length > 0) {
+                fullResponse += text;
+                onChunk(text);
             }
+        };
+
+        try {
+            for await (const chunkText of stream) {
+                if (signal?.aborted) {
+                    break;
+                }
+                if (totalChunks === 0) {
+                    endFirstTokenTimer();
+                    timings.firstTokenMs = elapsedMs(startedAt);
+                }
+                totalChunks++;
+
+                if (chunkText && chunkText.length > 0) {
+                    emit(citationFilter.push(chunkText));
+                }
+            }
+        } catch (error) {
+            recordLLMError('answer', signal);
+            throw error;
+        }
+
+        if (signal?.aborted) {
+            await cancelled();
+            return;
         }
+        emit(citationFilter.flush());
+        endTimer();
+        timings.generationMs = elapsedMs(generationStart);
+        timings.totalMs = elapsedMs(startedAt);
 
-        console.log(`\n=== STREAMING COMPLETE ===`);
-        console.log(`Total chunks: ${totalChunks}`);
-        console.log(`Final response length: ${fullResponse.length}`);
-        onComplete(fullResponse);
+        logger.info('Streaming answer complete', { chunkCount: totalChunks, answerLength: fullResponse.length, provider, model });
+        const result = {
+            answer: fullResponse,
+            sources: collectCitedSources(fullResponse, articles),
+            retrieved: summarizeRetrieved(articles),
+            timings,
+            standaloneQuery: retrievalQuery,
+            provider,
+            model,
+            prompt: promptInfo,
+            cached: false
+        };
+        if (prepared.scope && prepared.queryVector) {
+            cacheAnswer(prepared.queryVector, prepared.scope, retrievalQuery, result);
+        }
+        await onComplete(result);
     } catch (error) {
-        console.error('Error generating streaming answer:', error);
+        if (signal?.aborted) {
+            await cancelled();
+            return;
+        }
+        logger.error('Error generating streaming answer', { error });
         throw error;
     }
 }
 
-export { generateAnswer, generateAnswerStream };
\ No newline at end of file
+export { generateAnswer, generateAnswerStream, condenseQuery };
@@ -0,0 +1,114 @@
+import dotenv from 'dotenv';
+import { sleep } from '../utils/retry.js';
+
+dotenv.config();
+
+const CANCELLED_ANSWER_POLICIES = ['truncate', 'discard'];
+// What happens to the partial answer of a cancelled generation: stored marked as truncated, or dropped
+const CANCELLED_ANSWER_POLICY = CANCELLED_ANSWER_POLICIES.includes(process.env.CANCELLED_ANSWER_POLICY)
+    ? process.env.CANCELLED_ANSWER_POLICY
+    : 'truncate';
+// How often waitForGenerations checks whether the in-flight generations have finished
+const GENERATION_POLL_MS = 100;
+
+/**
+ * Owner of generations a user streams over HTTP, so only that user (or a disconnect) can cancel them
+ * @param {Object} user - Authenticated principal
+ * @returns {string} Owner identifier
+ */
+export const httpGenerationOwner = (user) => `http:${user.id}`;
+
+// In-flight generations by message ID. In-process only: a cancel must reach the instance running the generation.
+const activeGenerations = new Map();
+
+/**
+ * Register an in-flight generation so it can be cancelled
+ * @param {string} messageId - Message identifier announced to the client
+ * @param {string} [owner] - Socket or HTTP user that may cancel it
+ * @returns {AbortSignal} Signal to pass to generateAnswer / generateAnswerStream
+ */
+export const startGeneration = (messageId, owner = null) => {
+    const controller = new AbortController();
+    activeGenerations.set(messageId, { controller, owner });
+    return controller.signal;
+};
+
+/**
+ * Forget a generation once it has completed, failed or been cancelled
+ * @param {string} messageId - Message identifier
+ */
+export const finishGeneration = (messageId) => {
+    activeGenerations.delete(messageId);
+};
+
+/**
+ * Cancel an in-flight generation
+ * @param {string} messageId - Message identifier
+ * @param {string} [owner] - When given, only a generation registered by this owner is cancelled
+ * @returns {boolean} Whether a generation was cancelled
+ */
+export const cancelGeneration = (messageId, owner = null) => {
+    const generation = activeGenerations.get(messageId);
+    if (!generation || (owner !== null && generation.owner !== owner)) {
+        return false;
+    }
+    generation.controller.abort(new Error('Generation cancelled'));
+    activeGenerations.delete(messageId);
+    return true;
+};
+
+/**
+ * Cancel every in-flight generation of an owner, e.g. when its socket disconnects
+ * @param {string} owner - Socket or session identifier
+ * @returns {number} Number of generations cancelled
+ */
+export const cancelOwnerGenerations = (owner) => {
+    let cancelled = 0;
+    for (const [messageId, generation] of activeGenerations) {
+        if (generation.owner === owner) {
+            cancelGeneration(messageId);
+            cancelled++;
+        }
+    }
+    return cancelled;
+};
+
+/**
+ * Whether a cancelled generation's partial answer should be stored (CANCELLED_ANSWER_POLICY)
+ * @param {Object} partial - Partial result passed to onCancelled
+ * @returns {boolean} True to store it marked as truncated
+ */
+export const shouldStoreCancelledAnswer = (partial) => CANCELLED_ANSWER_POLICY === 'truncate' && partial.answer.length > 0;
+
+/**
+ * Number of generations currently in flight on this instance
+ * @returns {number} Active generation count
+ */
+export const getActiveGenerationCount = () => activeGenerations.size;
+
+/**
+ * Wait for in-flight generations to finish, e.g. while shutting down
+ * @param {number} timeoutMs - Longest time to wait
+ * @returns {Promise<boolean>} True if all finished, false if some were still running at the deadline
+ */
+export const waitForGenerations = async (timeoutMs) => {
+    const deadline = Date.now() + timeoutMs;
+    while (activeGenerations.size > 0 && Date.now() < deadline) {
+        await sleep(Math.min(GENERATION_POLL_MS, deadline - Date.now()));
+    }
+    return activeGenerations.size === 0;
+};
+
+/**
+ * Cancel every in-flight generation on this instance
+ * @returns {number} Number of generations cancelled
+ */
+export const cancelAllGenerations = () => {
+    let cancelled = 0;
+    for (const messageId of [...activeGenerations.keys()]) {
+        if (cancelGeneration(messageId)) {
+            cancelled++;
+        }
+    }
+    return cancelled;
+};
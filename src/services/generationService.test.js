@@ -0,0 +1,88 @@
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_MOCK_RESPONSES = JSON.stringify(['one two three four five six']);
+
+const {
+    startGeneration,
+    finishGeneration,
+    cancelGeneration,
+    cancelOwnerGenerations,
+    cancelAllGenerations,
+    getActiveGenerationCount,
+    waitForGenerations
+} = await import('./generationService.js');
+const { streamText } = await import('./llmService.js');
+const { getProviderStatus } = await import('../utils/providerStatus.js');
+
+afterEach(() => {
+    cancelAllGenerations();
+});
+
+describe('cancelGeneration', () => {
+    test('aborts a stream in progress', async () => {
+        const signal = startGeneration('m1', 'socket-1');
+        const { stream } = streamText('prompt', { signal });
+        const chunks = [];
+
+        const consume = (async () => {
+            for await (const chunk of stream) {
+                chunks.push(chunk);
+                if (chunks.length === 2) {
+                    expect(cancelGeneration('m1', 'socket-1')).toBe(true);
+                }
+            }
+        })();
+
+        await expect(consume).rejects.toThrow('Generation cancelled');
+        expect(chunks).toEqual(['one ', 'two ']);
+        expect(signal.aborted).toBe(true);
+        expect(getActiveGenerationCount()).toBe(0);
+        // A cancellation is not a provider failure
+        expect(getProviderStatus().llm.status).not.toBe('down');
+    });
+
+    test('only lets the owner cancel when an owner is given', () => {
+        const signal = startGeneration('m2', 'http:key:web');
+
+        expect(cancelGeneration('m2', 'http:key:other')).toBe(false);
+        expect(signal.aborted).toBe(false);
+        expect(cancelGeneration('m2', 'http:key:web')).toBe(true);
+        expect(signal.aborted).toBe(true);
+    });
+
+    test('returns false for an unknown or finished generation', () => {
+        const signal = startGeneration('m3');
+        finishGeneration('m3');
+
+        expect(cancelGeneration('m3')).toBe(false);
+        expect(cancelGeneration('missing')).toBe(false);
+        expect(signal.aborted).toBe(false);
+    });
+});
+
+describe('bulk cancellation', () => {
+    test('cancels every generation of a disconnected owner and nothing else', () => {
+        const first = startGeneration('a', 'socket-1');
+        const second = startGeneration('b', 'socket-1');
+        const other = startGeneration('c', 'socket-2');
+
+        expect(cancelOwnerGenerations('socket-1')).toBe(2);
+        expect([first.aborted, second.aborted, other.aborted]).toEqual([true, true, false]);
+        expect(getActiveGenerationCount()).toBe(1);
+    });
+
+    test('waits for generations to finish, up to a deadline', async () => {
+        startGeneration('slow');
+        expect(await waitForGenerations(20)).toBe(false);
+
+        setTimeout(() => finishGeneration('slow'), 10);
+        expect(await waitForGenerations(1000)).toBe(true);
+    });
+
+    test('cancels everything on this instance', () => {
+        const signals = [startGeneration('x'), startGeneration('y', 'socket-3')];
+
+        expect(cancelAllGenerations()).toBe(2);
+        expect(signals.every(signal => signal.aborted)).toBe(true);
+        expect(getActiveGenerationCount()).toBe(0);
+    });
+});
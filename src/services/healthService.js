@@ -0,0 +1,95 @@
+import dotenv from 'dotenv';
+import redisClient from '../utils/redisClient.js';
+import pgPool from '../utils/pgClient.js';
+import { pingVectorStore } from './retrieverService.js';
+import { getProviderStatus } from '../utils/providerStatus.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+// Longest a single dependency check may take before it counts as down
+const READY_CHECK_TIMEOUT_MS = parseInt(process.env.READY_CHECK_TIMEOUT_MS) || 3000;
+
+const startedAt = Date.now();
+let shuttingDown = false;
+
+/**
+ * Mark the instance as shutting down: /ready fails and new work is turned away
+ */
+export const markShuttingDown = () => {
+    shuttingDown = true;
+};
+
+/**
+ * Whether a graceful shutdown has started
+ * @returns {boolean} True once markShuttingDown has been called
+ */
+export const isShuttingDown = () => shuttingDown;
+
+/**
+ * Reject with a timeout error when `promise` takes longer than `timeoutMs`
+ * @param {Promise} promise - Check in progress
+ * @param {number} timeoutMs - Deadline
+ * @returns {Promise} The check's result
+ */
+const withTimeout = (promise, timeoutMs) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Run one dependency check and time it
+ * @param {string} name - Dependency name, for logs
+ * @param {Function} check - Async function that throws when the dependency is unavailable
+ * @returns {Object} `{ status: 'up'|'down', latencyMs, error? }`
+ */
+const runCheck = async (name, check) => {
+    const start = process.hrtime.bigint();
+    const latency = () => Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10;
+
+    try {
+        await withTimeout(check(), READY_CHECK_TIMEOUT_MS);
+        return { status: 'up', latencyMs: latency() };
+    } catch (error) {
+        logger.warn('Readiness check failed', { dependency: name, error: error.message });
+        return { status: 'down', latencyMs: latency(), error: error.message };
+    }
+};
+
+/**
+ * Liveness: the process is up and serving requests
+ * @returns {Object} `{ status, uptimeSeconds, shuttingDown }`
+ */
+export const getLiveness = () => ({
+    status: 'ok',
+    uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000),
+    shuttingDown
+});
+
+/**
+ * Readiness: the dependencies this service runs itself (Redis, Postgres, Qdrant) are reachable.
+ * The embedding and LLM providers are reported from real traffic, with the latency of their latest
+ * request, but do not gate readiness.
+ * @returns {Object} `{ ready, shuttingDown, checks, providers }` where checks maps redis, postgres and
+ *   qdrant to `{ status, latencyMs, error? }` and providers is getProviderStatus()
+ */
+export const getReadiness = async () => {
+    const [redis, postgres, qdrant] = await Promise.all([
+        runCheck('redis', async () => {
+            // Commands queue while Redis is reconnecting, so fail fast instead of waiting for the timeout
+            if (!redisClient.isReady) {
+                throw new Error('Redis connection is not ready');
+            }
+            await redisClient.ping();
+        }),
+        runCheck('postgres', () => pgPool.query('SELECT 1')),
+        runCheck('qdrant', () => pingVectorStore())
+    ]);
+
+    const checks = { redis, postgres, qdrant };
+    const ready = !shuttingDown && Object.values(checks).every(check => check.status === 'up');
+    return { ready, shuttingDown, checks, providers: getProviderStatus() };
+};
@@ -0,0 +1,294 @@
+import redisClient from '../utils/redisClient.js';
+import { v4 as uuidv4 } from 'uuid';
+import { ingestNewsArticles, reindexCollection } from '../utils/newsIngestion.js';
+import { invalidateAnswerCache } from './answerCacheService.js';
+import logger, { withCorrelationId } from '../utils/logger.js';
+
+const JOB_TTL = parseInt(process.env.INGEST_JOB_TTL) || 7 * 24 * 3600; // 7 days default
+const LOCK_TTL_MS = parseInt(process.env.INGEST_LOCK_TTL_MS) || 5 * 60 * 1000;
+const INGEST_INTERVAL_MINUTES = parseInt(process.env.INGEST_INTERVAL_MINUTES) || 0; // 0 disables the scheduler
+const RECENT_JOBS_LIMIT = 50;
+
+const LOCK_KEY = 'ingest:lock';
+const RECENT_JOBS_KEY = 'ingest:jobs';
+const jobKey = (jobId) => `ingest:job:${jobId}`;
+
+// Only touch the lock while we still own it, so an expired lock taken over by
+// another instance is never extended or released by us
+const RENEW_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+let schedulerTimer = null;
+
+/**
+ * Persist the current state of a job
+ * @param {Object} job - Job state
+ */
+const saveJob = async (job) => {
+    await redisClient.set(jobKey(job.id), JSON.stringify(job), { EX: JOB_TTL });
+};
+
+/**
+ * Try to take the cluster-wide ingestion lock
+ * @param {string} jobId - Job that will own the lock
+ * @returns {boolean} True if the lock was acquired
+ */
+const acquireLock = async (jobId) => {
+    const result = await redisClient.set(LOCK_KEY, jobId, { NX: true, PX: LOCK_TTL_MS });
+    return result === 'OK';
+};
+
+const renewLock = async (jobId) => {
+    await redisClient.eval(RENEW_LOCK_SCRIPT, { keys: [LOCK_KEY], arguments: [jobId, String(LOCK_TTL_MS)] });
+};
+
+const releaseLock = async (jobId) => {
+    await redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [LOCK_KEY], arguments: [jobId] });
+};
+
+/**
+ * Apply an ingestion progress event to the job state
+ * @param {Object} job - Job state, mutated in place
+ * @param {Object} event - Progress event emitted by ingestNewsArticles or reindexCollection
+ */
+const applyProgress = (job, event) => {
+    switch (event.type) {
+        case 'feeds':
+            job.progress.feedsTotal = event.total;
+            break;
+        case 'phase':
+            job.phase = event.phase;
+            job.currentFeed = event.feed ? { id: event.feed.id, source: event.feed.source } : null;
+            break;
+        case 'articles':
+            job.progress.articlesProcessed += event.processed || 0;
+            job.progress.articlesFailed += event.failed || 0;
+            break;
+        case 'points':
+            job.progress.pointsProcessed += event.processed || 0;
+            job.progress.pointsFailed += event.failed || 0;
+            break;
+        case 'feed-complete':
+            job.progress.feedsCompleted += 1;
+            if (!event.result.success) {
+                job.progress.feedsFailed += 1;
+            }
+            break;
+    }
+    job.updatedAt = new Date().toISOString();
+};
+
+/**
+ * Run an ingestion job to completion while holding the lock
+ * @param {Object} job - Job state
+ * @returns {Object} Final job state
+ */
+const runJob = async (job) => {
+    const heartbeat = setInterval(() => {
+        renewLock(job.id).catch(error => logger.error('Error renewing ingestion lock', { jobId: job.id, error }));
+    }, Math.floor(LOCK_TTL_MS / 3));
+
+    // Progress is written to Redis in order, without blocking ingestion on each write
+    let pendingSave = Promise.resolve();
+    const onProgress = (event) => {
+        applyProgress(job, event);
+        pendingSave = pendingSave
+            .then(() => saveJob(job))
+            .catch(error => logger.error('Error saving ingestion job progress', { jobId: job.id, error }));
+    };
+
+    try {
+        const result = job.type === 'reindex'
+            ? await reindexCollection({ targetCollection: job.targetCollection, onProgress })
+            : await ingestNewsArticles({ feedIds: job.feedIds, onProgress });
+        await pendingSave;
+
+        job.status = result.error ? 'failed' : 'completed';
+        job.result = result;
+        job.error = result.error || null;
+    } catch (error) {
+        logger.error('Ingestion job failed', { jobId: job.id, error });
+        await pendingSave;
+        job.status = 'failed';
+        job.error = error.message;
+    } finally {
+        clearInterval(heartbeat);
+    }
+
+    job.phase = 'done';
+    job.currentFeed = null;
+    job.finishedAt = new Date().toISOString();
+    job.updatedAt = job.finishedAt;
+
+    try {
+        await saveJob(job);
+        await releaseLock(job.id);
+    } catch (error) {
+        logger.error('Error finalizing ingestion job', { jobId: job.id, error });
+    }
+
+    // Cached answers may cite changed or missing articles once the collection changes.
+    // A failed job may still have written some articles, so only a clean no-op run keeps the cache.
+    const unchanged = job.type === 'ingest' && job.status === 'completed' && (job.result.new || 0) + (job.result.updated || 0) === 0;
+    if (!unchanged) {
+        await invalidateAnswerCache().catch(error => logger.error('Error invalidating answer cache', { error }));
+    }
+
+    logger.info('Ingestion job finished', { jobId: job.id, status: job.status });
+    return job;
+};
+
+/**
+ * Start an ingestion job in the background
+ * @param {Object} [options]
+ * @param {string} [options.type] - `ingest` (feeds into Qdrant) or `reindex` (re-embed stored chunks)
+ * @param {Array<string>} [options.feedIds] - Only ingest these feeds
+ * @param {string} [options.targetCollection] - Collection a reindex job writes to
+ * @param {string} [options.trigger] - What started the job (api, scheduler, cli)
+ * @returns {Object} `{ started: true, job, completion }` or `{ started: false, runningJobId }`
+ *   when another ingestion already holds the lock
+ */
+export const startIngestionJob = async ({ type = 'ingest', feedIds = null, targetCollection, trigger = 'api' } = {}) => {
+    try {
+        const jobId = uuidv4();
+
+        if (!(await acquireLock(jobId))) {
+            const runningJobId = await redisClient.get(LOCK_KEY);
+            return { started: false, runningJobId };
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id: jobId,
+            type,
+            status: 'running',
+            trigger,
+            feedIds,
+            targetCollection,
+            phase: 'starting',
+            currentFeed: null,
+            progress: {
+                feedsTotal: 0,
+                feedsCompleted: 0,
+                feedsFailed: 0,
+                articlesProcessed: 0,
+                articlesFailed: 0,
+                pointsProcessed: 0,
+                pointsFailed: 0
+            },
+            result: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+            finishedAt: null
+        };
+
+        // runJob releases the lock once it takes over; until then a failure here must release it,
+        // or every later start is refused until the lock's TTL runs out
+        try {
+            await saveJob(job);
+            await redisClient.lPush(RECENT_JOBS_KEY, jobId);
+            await redisClient.lTrim(RECENT_JOBS_KEY, 0, RECENT_JOBS_LIMIT - 1);
+        } catch (error) {
+            await releaseLock(jobId).catch(releaseError => {
+                logger.error('Error releasing ingestion lock', { jobId, error: releaseError });
+            });
+            throw error;
+        }
+
+        logger.info('Ingestion job started', { jobId, type, trigger });
+
+        // Deliberately not awaited: the caller gets the job ID immediately. The job logs under its
+        // own ID rather than the correlation ID of the request that started it.
+        const completion = withCorrelationId(jobId, () => runJob(job));
+        return { started: true, job, completion };
+    } catch (error) {
+        logger.error('Error starting ingestion job', { error });
+        throw error;
+    }
+};
+
+/**
+ * Retrieve an ingestion job by ID
+ * @param {string} jobId - Job identifier
+ * @returns {Object|null} Job state or null if not found/expired
+ */
+export const getIngestionJob = async (jobId) => {
+    try {
+        const data = await redisClient.get(jobKey(jobId));
+        if (!data) {
+            return null;
+        }
+
+        const job = JSON.parse(data);
+
+        // A running job whose lock is gone belonged to an instance that died mid-run
+        if (job.status === 'running' && (await redisClient.get(LOCK_KEY)) !== job.id) {
+            job.status = 'interrupted';
+        }
+
+        return job;
+    } catch (error) {
+        logger.error('Error retrieving ingestion job', { error });
+        throw error;
+    }
+};
+
+/**
+ * List the most recent ingestion jobs, newest first
+ * @returns {Array} Array of jobs
+ */
+export const getRecentIngestionJobs = async () => {
+    try {
+        const jobIds = await redisClient.lRange(RECENT_JOBS_KEY, 0, -1);
+        const jobs = await Promise.all(jobIds.map(getIngestionJob));
+        return jobs.filter(Boolean);
+    } catch (error) {
+        logger.error('Error retrieving ingestion jobs', { error });
+        throw error;
+    }
+};
+
+/**
+ * Start the periodic ingestion scheduler (INGEST_INTERVAL_MINUTES, disabled when 0).
+ * Every instance may run the scheduler; the lock makes sure only one ingestion runs at a time.
+ */
+export const startIngestionScheduler = () => {
+    if (!INGEST_INTERVAL_MINUTES || schedulerTimer) {
+        return;
+    }
+
+    schedulerTimer = setInterval(async () => {
+        try {
+            const { started, runningJobId } = await startIngestionJob({ trigger: 'scheduler' });
+            if (!started) {
+                logger.info('Scheduled ingestion skipped, a job is still running', { jobId: runningJobId });
+            }
+        } catch (error) {
+            logger.error('Scheduled ingestion failed to start', { error });
+        }
+    }, INGEST_INTERVAL_MINUTES * 60 * 1000);
+
+    logger.info('Ingestion scheduler started', { intervalMinutes: INGEST_INTERVAL_MINUTES });
+};
+
+/**
+ * Stop the periodic ingestion scheduler
+ */
+export const stopIngestionScheduler = () => {
+    if (schedulerTimer) {
+        clearInterval(schedulerTimer);
+        schedulerTimer = null;
+    }
+};
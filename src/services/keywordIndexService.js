@@ -0,0 +1,139 @@
+import pgPool from '../utils/pgClient.js';
+import { toTimestamp } from '../utils/dateUtils.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Parse an article date into a Date, or null when missing/invalid
+ * @param {string|number} value - Date string or millisecond timestamp
+ * @returns {Date|null} Parsed date
+ */
+const parseDate = (value) => {
+    const timestamp = toTimestamp(value);
+    return timestamp === null ? null : new Date(timestamp);
+};
+
+/**
+ * Add or replace chunks in the keyword index.
+ * Rows mirror Qdrant points one to one and share their IDs, so keyword hits can be
+ * fused with vector hits and hydrated from Qdrant payloads.
+ * @param {Array} points - Qdrant points ({ id, payload }) with chunk payloads
+ */
+export const indexChunks = async (points) => {
+    try {
+        const rows = points.filter(point => point.payload?.articleId);
+        if (rows.length === 0) {
+            return;
+        }
+
+        // UNNEST cannot expand a 2D array into TEXT[] rows, so categories travel as one JSON string per row
+        const insertQuery = `
+            INSERT INTO article_chunks (
+                point_id, article_id, chunk_index, title, chunk, link, source, categories, published_at
+            )
+            SELECT
+                t.point_id, t.article_id, t.chunk_index, t.title, t.chunk, t.link, t.source,
+                ARRAY(SELECT json_array_elements_text(t.categories::json)), t.published_at
+            FROM UNNEST(
+                $1::uuid[], $2::uuid[], $3::int[], $4::text[], $5::text[], $6::text[], $7::text[], $8::text[], $9::timestamptz[]
+            ) AS t(point_id, article_id, chunk_index, title, chunk, link, source, categories, published_at)
+            ON CONFLICT (point_id) DO UPDATE SET
+                article_id = EXCLUDED.article_id,
+                chunk_index = EXCLUDED.chunk_index,
+                title = EXCLUDED.title,
+                chunk = EXCLUDED.chunk,
+                link = EXCLUDED.link,
+                source = EXCLUDED.source,
+                categories = EXCLUDED.categories,
+                published_at = EXCLUDED.published_at,
+                indexed_at = CURRENT_TIMESTAMP;
+        `;
+
+        const values = [
+            rows.map(point => point.id),
+            rows.map(point => point.payload.articleId),
+            rows.map(point => point.payload.chunkIndex ?? 0),
+            rows.map(point => point.payload.title || ''),
+            rows.map(point => point.payload.chunk || ''),
+            rows.map(point => point.payload.link || ''),
+            rows.map(point => point.payload.source || ''),
+            rows.map(point => JSON.stringify(point.payload.categories || [])),
+            rows.map(point => parseDate(point.payload.pubDate))
+        ];
+
+        await pgPool.query(insertQuery, values);
+    } catch (error) {
+        logger.error('Error indexing chunks', { error });
+        throw error;
+    }
+};
+
+/**
+ * Remove every indexed chunk of the given articles
+ * @param {Array<string>} articleIds - Article identifiers
+ */
+export const deleteArticleChunks = async (articleIds) => {
+    try {
+        if (articleIds.length === 0) {
+            return;
+        }
+        await pgPool.query('DELETE FROM article_chunks WHERE article_id = ANY($1::uuid[]);', [articleIds]);
+    } catch (error) {
+        logger.error('Error deleting indexed chunks', { error });
+        throw error;
+    }
+};
+
+/**
+ * Full-text search over indexed chunks
+ * @param {string} query - User query (web search syntax: quotes, OR, -exclusions)
+ * @param {number} limit - Maximum number of hits
+ * @param {Object} [filters] - Normalized retrieval filters (see retrieverService.normalizeFilters)
+ * @returns {Array} Hits `{ id, score }` ordered by rank, best first
+ */
+export const searchChunks = async (query, limit = 10, filters = null) => {
+    try {
+        const values = [query];
+        const conditions = ['search_vector @@ query'];
+        const addValue = (value) => {
+            values.push(value);
+            return `$${values.length}`;
+        };
+
+        if (filters?.publishedAfter !== undefined) {
+            conditions.push(`published_at >= ${addValue(new Date(filters.publishedAfter))}`);
+        }
+        if (filters?.publishedBefore !== undefined) {
+            conditions.push(`published_at <= ${addValue(new Date(filters.publishedBefore))}`);
+        }
+        if (filters?.sources) {
+            conditions.push(`source = ANY(${addValue(filters.sources)}::text[])`);
+        }
+        if (filters?.categories) {
+            conditions.push(`categories && ${addValue(filters.categories)}::text[]`);
+        }
+        for (const keyword of filters?.keywords || []) {
+            // Escape LIKE wildcards so keywords match literally
+            const pattern = `%${keyword.replace(/[\\%_]/g, '\\$&')}%`;
+            const param = addValue(pattern);
+            conditions.push(`(chunk ILIKE ${param} OR title ILIKE ${param})`);
+        }
+
+        const searchQuery = `
+            SELECT point_id, ts_rank_cd(search_vector, query) AS score
+            FROM article_chunks, websearch_to_tsquery('english', $1) AS query
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY score DESC
+            LIMIT ${addValue(limit)};
+        `;
+
+        const result = await pgPool.query(searchQuery, values);
+
+        return result.rows.map(row => ({
+            id: row.point_id,
+            score: parseFloat(row.score)
+        }));
+    } catch (error) {
+        logger.error('Error searching keyword index', { error });
+        throw error;
+    }
+};
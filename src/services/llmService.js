@@ -0,0 +1,289 @@
+import dotenv from 'dotenv';
+import axios from 'axios';
+import { GoogleGenerativeAI } from "@google/generative-ai"
+import { withRetry, isRetryableHttpError } from '../utils/retry.js';
+import logger from '../utils/logger.js';
+import { recordProviderSuccess, recordProviderFailure } from '../utils/providerStatus.js';
+
+dotenv.config();
+
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+const LLM_TEMPERATURE = process.env.LLM_TEMPERATURE !== undefined && process.env.LLM_TEMPERATURE !== ''
+    ? parseFloat(process.env.LLM_TEMPERATURE)
+    : null;
+const LLM_MAX_TOKENS = parseInt(process.env.LLM_MAX_TOKENS) || null;
+const LLM_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES) || 2;
+
+const DEFAULT_MOCK_RESPONSES = ['This is a mock answer based on the retrieved news [1].'];
+
+/*
+ * A generation provider has the shape:
+ *   {
+ *     name: string,                                  // provider identifier (gemini, openai, mock)
+ *     model: string,                                 // model used for answers
+ *     fastModel: string,                             // cheaper model for query rewriting and reranking
+ *     generate(prompt, options): Promise<string>,    // complete response text
+ *     stream(prompt, options): AsyncIterable<string> // response text in chunks as they arrive
+ *   }
+ * options: { model?, temperature?, maxTokens?, signal? }; unset values fall back to the provider's defaults,
+ * and aborting `signal` cancels the request or stops the stream
+ */
+
+/**
+ * Resolve per-call generation settings against the configured defaults
+ * @param {Object} provider - Generation provider
+ * @param {Object} options - Per-call overrides
+ * @returns {Object} `{ model, temperature, maxTokens }` (temperature/maxTokens may be null)
+ */
+const resolveOptions = (provider, { model, temperature, maxTokens } = {}) => ({
+    model: model || provider.model,
+    temperature: temperature ?? LLM_TEMPERATURE,
+    maxTokens: maxTokens ?? LLM_MAX_TOKENS
+});
+
+/**
+ * Create a provider for Google Gemini
+ * @returns {Object} Generation provider
+ */
+const createGeminiProvider = () => {
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+
+    const getModel = (options) => {
+        const { model, temperature, maxTokens } = resolveOptions(provider, options);
+        const generationConfig = {};
+        if (temperature !== null) {
+            generationConfig.temperature = temperature;
+        }
+        if (maxTokens !== null) {
+            generationConfig.maxOutputTokens = maxTokens;
+        }
+        return genAI.getGenerativeModel({ model, generationConfig });
+    };
+
+    const provider = {
+        name: 'gemini',
+        model: process.env.LLM_MODEL || 'gemini-1.5-pro',
+        fastModel: process.env.LLM_FAST_MODEL || 'gemini-1.5-flash',
+        async generate(prompt, options = {}) {
+            const result = await getModel(options).generateContent(prompt, { signal: options.signal });
+            return result.response.text();
+        },
+        async *stream(prompt, options = {}) {
+            const result = await getModel(options).generateContentStream(prompt, { signal: options.signal });
+            for await (const chunk of result.stream) {
+                yield chunk.text();
+            }
+        }
+    };
+
+    return provider;
+};
+
+/**
+ * Create a provider for any server exposing an OpenAI-compatible /chat/completions endpoint
+ * (OpenAI, Ollama, vLLM, LM Studio, llama.cpp server, ...)
+ * @returns {Object} Generation provider
+ */
+const createOpenAICompatibleProvider = () => {
+    const baseUrl = (process.env.LLM_API_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const apiKey = process.env.LLM_API_KEY;
+    const model = process.env.LLM_MODEL || 'gpt-4o-mini';
+
+    const request = (prompt, options = {}, stream) => {
+        const settings = resolveOptions(provider, options);
+        const body = {
+            model: settings.model,
+            messages: [{ role: 'user', content: prompt }],
+            stream
+        };
+        if (settings.temperature !== null) {
+            body.temperature = settings.temperature;
+        }
+        if (settings.maxTokens !== null) {
+            body.max_tokens = settings.maxTokens;
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) {
+            headers['Authorization'] = `Bearer ${apiKey}`;
+        }
+
+        return axios.post(`${baseUrl}/chat/completions`, body, {
+            headers,
+            responseType: stream ? 'stream' : 'json',
+            signal: options.signal
+        });
+    };
+
+    const provider = {
+        name: 'openai',
+        model,
+        fastModel: process.env.LLM_FAST_MODEL || model,
+        async generate(prompt, options) {
+            const response = await request(prompt, options, false);
+            return response.data.choices?.[0]?.message?.content || '';
+        },
+        async *stream(prompt, options) {
+            const response = await request(prompt, options, true);
+            let buffer = '';
+
+            // Server-sent events: one `data: {json}` line per delta, terminated by `data: [DONE]`
+            for await (const data of response.data) {
+                buffer += data.toString();
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const payload = line.trim().replace(/^data:\s*/, '');
+                    if (!line.trim().startsWith('data:') || payload === '') {
+                        continue;
+                    }
+                    if (payload === '[DONE]') {
+                        return;
+                    }
+                    const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+                    if (text) {
+                        yield text;
+                    }
+                }
+            }
+        }
+    };
+
+    return provider;
+};
+
+/**
+ * Create a scripted provider for development and tests (no network or API key).
+ * Responses come from LLM_MOCK_RESPONSES (a JSON array or a single string) and are
+ * returned in order, cycling when exhausted.
+ * @param {Array<string>} [responses] - Scripted responses, overriding LLM_MOCK_RESPONSES
+ * @returns {Object} Generation provider
+ */
+const createMockProvider = (responses = parseMockResponses(process.env.LLM_MOCK_RESPONSES)) => {
+    let next = 0;
+    const nextResponse = () => responses[next++ % responses.length];
+
+    return {
+        name: 'mock',
+        model: process.env.LLM_MODEL || 'mock',
+        fastModel: process.env.LLM_FAST_MODEL || 'mock',
+        async generate(prompt, options = {}) {
+            options.signal?.throwIfAborted();
+            return nextResponse();
+        },
+        async *stream(prompt, options = {}) {
+            // Word-sized chunks, like a real stream
+            for (const chunk of nextResponse().match(/\S+\s*|\s+/g) || []) {
+                options.signal?.throwIfAborted();
+                yield chunk;
+            }
+        }
+    };
+};
+
+/**
+ * Parse LLM_MOCK_RESPONSES
+ * @param {string} [value] - JSON array of strings, or a plain string
+ * @returns {Array<string>} Scripted responses
+ */
+function parseMockResponses(value) {
+    if (!value) {
+        return DEFAULT_MOCK_RESPONSES;
+    }
+    try {
+        const parsed = JSON.parse(value);
+        if (Array.isArray(parsed) && parsed.length > 0) {
+            return parsed.map(String);
+        }
+    } catch (error) {
+        // Not JSON; treat it as a single response
+    }
+    return [value];
+}
+
+const PROVIDERS = {
+    gemini: createGeminiProvider,
+    openai: createOpenAICompatibleProvider,
+    mock: createMockProvider
+};
+
+let provider = null;
+
+/**
+ * Get the generation provider selected by LLM_PROVIDER (gemini, openai or mock)
+ * @returns {Object} Generation provider
+ */
+export const getLLMProvider = () => {
+    if (!provider) {
+        const factory = PROVIDERS[LLM_PROVIDER];
+        if (!factory) {
+            throw new Error(`Unknown LLM_PROVIDER "${LLM_PROVIDER}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+        }
+        provider = factory();
+        logger.info('Using LLM provider', { provider: provider.name, model: provider.model });
+    }
+    return provider;
+};
+
+/**
+ * Generate a complete response, retrying rate limits and server errors (but not cancellations)
+ * @param {string} prompt - Prompt text
+ * @param {Object} [options] - `{ model, temperature, maxTokens, signal }` overrides
+ * @returns {Object} `{ text, provider, model }`
+ */
+export const generateText = async (prompt, options = {}) => {
+    const current = getLLMProvider();
+    const { model } = resolveOptions(current, options);
+    const startedAt = Date.now();
+    let text;
+    try {
+        text = await withRetry(() => current.generate(prompt, options), {
+            retries: LLM_MAX_RETRIES,
+            isRetryable: (error) => !options.signal?.aborted && isRetryableHttpError(error),
+            label: `${current.name} generation request`
+        });
+    } catch (error) {
+        if (!options.signal?.aborted) {
+            recordProviderFailure('llm', current.name, error, Date.now() - startedAt);
+        }
+        throw error;
+    }
+    recordProviderSuccess('llm', current.name, Date.now() - startedAt);
+    return { text, provider: current.name, model };
+};
+
+// Pass a provider stream through, recording its outcome and duration for readiness once it ends
+async function* trackStream(stream, providerName, signal) {
+    const startedAt = Date.now();
+    try {
+        yield* stream;
+    } catch (error) {
+        if (!signal?.aborted) {
+            recordProviderFailure('llm', providerName, error, Date.now() - startedAt);
+        }
+        throw error;
+    }
+    recordProviderSuccess('llm', providerName, Date.now() - startedAt);
+}
+
+/**
+ * Stream a response. Not retried: a failure after the first chunk cannot be replayed cleanly.
+ * @param {string} prompt - Prompt text
+ * @param {Object} [options] - `{ model, temperature, maxTokens, signal }` overrides
+ * @returns {Object} `{ stream, provider, model }` where stream yields text chunks
+ */
+export const streamText = (prompt, options = {}) => {
+    const current = getLLMProvider();
+    const { model } = resolveOptions(current, options);
+    return { stream: trackStream(current.stream(prompt, options), current.name, options.signal), provider: current.name, model };
+};
+
+/**
+ * Describe the generation model in use
+ * @returns {Object} `{ provider, model, fastModel }`
+ */
+export const getLLMInfo = () => {
+    const current = getLLMProvider();
+    return { provider: current.name, model: current.model, fastModel: current.fastModel };
+};
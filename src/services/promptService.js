@@ -0,0 +1,137 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const PROMPT_TEMPLATE = process.env.PROMPT_TEMPLATE || 'news-answer';
+// Unset means the latest version of the template
+const PROMPT_VERSION = parseInt(process.env.PROMPT_VERSION) || null;
+const PROMPT_LANGUAGE = process.env.PROMPT_LANGUAGE || 'English';
+
+// Slots a template may use; `{{name}}` in a template is replaced with the value
+const PROMPT_VARIABLES = ['query', 'context', 'history', 'language', 'date'];
+
+/*
+ * A prompt template has the shape:
+ *   {
+ *     id: string,           // template name; versions of one prompt share it
+ *     version: number,      // increases with every wording change, never reused
+ *     description: string,
+ *     template: string      // text with {{slot}} placeholders from PROMPT_VARIABLES
+ *   }
+ * Published versions are never edited in place: stored messages record id and version,
+ * so changing a version's wording would make past answers impossible to attribute.
+ */
+const TEMPLATES = [
+    {
+        id: 'news-answer',
+        version: 1,
+        description: 'Answer from retrieved articles with numbered citations',
+        template: `
+You are an assistant that answers questions based on retrieved news articles.
+Use the provided context to answer the query. If the answer is not in the context, say "I did not find relevant information"
+Cite the sources you use with their numbers in square brackets right after the statement they support, e.g. [1] or [2, 3].
+Only cite source numbers listed in the context.
+{{history}}
+Query: {{query}}
+
+Context:
+{{context}}
+
+Answer:
+`
+    },
+    {
+        id: 'news-answer',
+        version: 2,
+        description: 'Version 1 plus the current date for recency questions and a configurable answer language',
+        template: `
+You are an assistant that answers questions based on retrieved news articles. Today's date is {{date}}.
+Use the provided context to answer the query. If the answer is not in the context, say "I did not find relevant information"
+Prefer the most recent articles when they disagree, and mention dates when the query is about timing.
+Cite the sources you use with their numbers in square brackets right after the statement they support, e.g. [1] or [2, 3].
+Only cite source numbers listed in the context.
+Write the answer in {{language}}.
+{{history}}
+Query: {{query}}
+
+Context:
+{{context}}
+
+Answer:
+`
+    }
+];
+
+for (const { id, version, template } of TEMPLATES) {
+    const unknown = [...template.matchAll(/\{\{(\w+)\}\}/g)]
+        .map(match => match[1])
+        .filter(name => !PROMPT_VARIABLES.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Prompt template ${id} v${version} uses unknown variables: ${unknown.join(', ')}`);
+    }
+}
+
+/**
+ * List registered prompt templates, without their text
+ * @returns {Array} `{ id, version, description }` for every template version
+ */
+export const listPromptTemplates = () => TEMPLATES.map(({ id, version, description }) => ({ id, version, description }));
+
+/**
+ * Find a prompt template version
+ * @param {string} id - Template name
+ * @param {number} [version] - Template version (default the latest)
+ * @returns {Object|null} Template, or null when no such template or version exists
+ */
+export const getPromptTemplate = (id, version = null) => {
+    const versions = TEMPLATES.filter(template => template.id === id);
+    if (version === null) {
+        return versions.reduce((latest, template) => (!latest || template.version > latest.version ? template : latest), null);
+    }
+    return versions.find(template => template.version === version) || null;
+};
+
+/**
+ * Pick the template for a prompt selection. A selection naming a template without a version gets
+ * that template's latest version; PROMPT_VERSION only applies to the configured PROMPT_TEMPLATE.
+ * @param {Object} [selection] - `{ id, version }`, both optional
+ * @returns {Object|null} Template, or null when the selection does not exist
+ */
+export const resolvePromptTemplate = ({ id, version } = {}) => (id === undefined
+    ? getPromptTemplate(PROMPT_TEMPLATE, version ?? PROMPT_VERSION)
+    : getPromptTemplate(id, version ?? null));
+
+/**
+ * Fill a template's slots. Missing variables render as empty strings.
+ * @param {Object} template - Prompt template
+ * @param {Object} variables - Values for query, context, history, language and date
+ * @returns {string} Prompt text
+ */
+export const renderPrompt = (template, variables) => {
+    const values = {
+        language: PROMPT_LANGUAGE,
+        date: new Date().toISOString().slice(0, 10),
+        ...variables
+    };
+    return template.template.replace(/\{\{(\w+)\}\}/g, (match, name) => values[name] ?? '');
+};
+
+/**
+ * Resolve the prompt selection of a validated chat request. Field types and limits are enforced by
+ * the Joi schemas in validation/schemas.js; this only checks that the selected template exists.
+ * @param {Object} input - `{ prompt }` from a request body or socket event, where prompt is `{ id, version, language }`
+ * @returns {Object} `{ options }` for generateAnswer, or `{ error }` for an unknown template
+ */
+export const parsePromptOptions = ({ prompt } = {}) => {
+    if (!prompt) {
+        return { options: {} };
+    }
+
+    const { id, version, language } = prompt;
+
+    if (!resolvePromptTemplate({ id, version })) {
+        return { error: `Unknown prompt template ${id ?? PROMPT_TEMPLATE}${version ? ` v${version}` : ''}` };
+    }
+
+    return { options: { id, version, language } };
+};
@@ -0,0 +1,233 @@
+import dotenv from 'dotenv';
+import redisClient from '../utils/redisClient.js';
+
+dotenv.config();
+
+/**
+ * Read an integer setting of at least `min`, keeping an explicit 0 (which switches a limit off) by default
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default value, used when the setting is missing, not an integer or below `min`
+ * @param {number} [min=0] - Smallest accepted value
+ * @returns {number}
+ */
+const envLimit = (name, fallback, min = 0) => {
+    const value = parseInt(process.env[name]);
+    return Number.isInteger(value) && value >= min ? value : fallback;
+};
+
+// Window keys and expiries are derived from this, so it must be positive
+export const RATE_LIMIT_WINDOW_MS = envLimit('RATE_LIMIT_WINDOW_MS', 900000, 1); // 15 minutes default
+const RATE_LIMIT_MAX = envLimit('RATE_LIMIT_MAX', 100);
+
+// Dimensions every scope is limited on: client IP, chat session and authenticated principal (API key or JWT subject)
+export const RATE_LIMIT_DIMENSIONS = ['ip', 'session', 'user'];
+
+// Requests per window by scope and dimension, overridable with RATE_LIMIT_<SCOPE>_<DIMENSION> (0 disables)
+const RATE_LIMITS = {
+    chat: {
+        ip: envLimit('RATE_LIMIT_CHAT_IP', RATE_LIMIT_MAX),
+        session: envLimit('RATE_LIMIT_CHAT_SESSION', 50),
+        user: envLimit('RATE_LIMIT_CHAT_USER', 200)
+    },
+    retrieve: {
+        ip: envLimit('RATE_LIMIT_RETRIEVE_IP', RATE_LIMIT_MAX),
+        session: 0,
+        user: envLimit('RATE_LIMIT_RETRIEVE_USER', 300)
+    },
+    ingest: {
+        ip: envLimit('RATE_LIMIT_INGEST_IP', 10),
+        session: 0,
+        user: envLimit('RATE_LIMIT_INGEST_USER', 10)
+    }
+};
+
+// Chat messages per user per UTC day unless an admin sets a quota for them (0 means unlimited)
+const DAILY_MESSAGE_QUOTA = envLimit('DAILY_MESSAGE_QUOTA', 0);
+
+const QUOTAS_KEY = 'quota:daily-messages';
+const counterKey = (key, windowStart) => `rate-limit:${key}:${windowStart}`;
+const usageKey = (userId, day) => `quota-usage:${day}:${userId}`;
+
+/**
+ * Requests allowed per window for a scope and dimension
+ * @param {string} scope - 'chat', 'retrieve' or 'ingest'
+ * @param {string} dimension - One of RATE_LIMIT_DIMENSIONS
+ * @returns {number} Limit, 0 when the dimension is not limited
+ */
+export const getRateLimit = (scope, dimension) => RATE_LIMITS[scope]?.[dimension] || 0;
+
+/**
+ * Count a hit in the current fixed window. Counters live in Redis so every instance shares them.
+ * @param {string} key - Counter identity, e.g. `chat:ip:127.0.0.1`
+ * @returns {Object} `{ totalHits, resetTime }`
+ */
+const incrementCounter = async (key) => {
+    const windowStart = Math.floor(Date.now() / RATE_LIMIT_WINDOW_MS) * RATE_LIMIT_WINDOW_MS;
+    const redisKey = counterKey(key, windowStart);
+
+    const [totalHits] = await redisClient.multi()
+        .incr(redisKey)
+        .pExpire(redisKey, RATE_LIMIT_WINDOW_MS)
+        .exec();
+
+    return { totalHits, resetTime: new Date(windowStart + RATE_LIMIT_WINDOW_MS) };
+};
+
+/**
+ * express-rate-limit store backed by the shared Redis counters, so REST and Socket.IO
+ * requests count against the same limits
+ * @param {string} scope - Rate limit scope
+ * @param {string} dimension - Rate limit dimension
+ * @returns {Object} Store
+ */
+export const createRateLimitStore = (scope, dimension) => {
+    const prefix = `${scope}:${dimension}:`;
+    const currentKey = (key) => counterKey(prefix + key, Math.floor(Date.now() / RATE_LIMIT_WINDOW_MS) * RATE_LIMIT_WINDOW_MS);
+
+    return {
+        prefix,
+        localKeys: false,
+        increment: (key) => incrementCounter(prefix + key),
+        decrement: async (key) => {
+            await redisClient.decr(currentKey(key));
+        },
+        resetKey: async (key) => {
+            await redisClient.del(currentKey(key));
+        }
+    };
+};
+
+/**
+ * Count a request against every limited dimension of a scope (used by Socket.IO, which has no middleware)
+ * @param {string} scope - Rate limit scope
+ * @param {Object} identities - `{ ip, session, user }`; missing identities are not limited
+ * @returns {Object|null} `{ scope, limit, max, retryAfterSeconds, retryAt }` for the first exceeded
+ *   dimension, or null when the request is allowed
+ */
+export const consumeRateLimit = async (scope, identities) => {
+    let exceeded = null;
+
+    for (const dimension of RATE_LIMIT_DIMENSIONS) {
+        const max = getRateLimit(scope, dimension);
+        if (!max || !identities[dimension]) {
+            continue;
+        }
+
+        const { totalHits, resetTime } = await incrementCounter(`${scope}:${dimension}:${identities[dimension]}`);
+        if (totalHits > max && !exceeded) {
+            exceeded = {
+                scope,
+                limit: dimension,
+                max,
+                retryAfterSeconds: Math.ceil((resetTime.getTime() - Date.now()) / 1000),
+                retryAt: resetTime.toISOString()
+            };
+        }
+    }
+
+    return exceeded;
+};
+
+/**
+ * Start of the next UTC day, when daily quotas reset
+ * @returns {Date}
+ */
+const nextQuotaReset = () => {
+    const reset = new Date();
+    reset.setUTCHours(24, 0, 0, 0);
+    return reset;
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Daily chat message quota of a user
+ * @param {string} userId - Principal ID
+ * @returns {Object} `{ userId, dailyMessages, custom }`; dailyMessages 0 means unlimited
+ */
+export const getDailyQuota = async (userId) => {
+    const custom = await redisClient.hGet(QUOTAS_KEY, userId);
+    return {
+        userId,
+        dailyMessages: custom !== null && custom !== undefined ? parseInt(custom) : DAILY_MESSAGE_QUOTA,
+        custom: custom !== null && custom !== undefined
+    };
+};
+
+/**
+ * Set a user's daily chat message quota
+ * @param {string} userId - Principal ID
+ * @param {number} dailyMessages - Messages per UTC day, 0 for unlimited
+ * @returns {Object} Quota, see getDailyQuota
+ */
+export const setDailyQuota = async (userId, dailyMessages) => {
+    await redisClient.hSet(QUOTAS_KEY, userId, String(dailyMessages));
+    return { userId, dailyMessages, custom: true };
+};
+
+/**
+ * Remove a user's custom quota so DAILY_MESSAGE_QUOTA applies again
+ * @param {string} userId - Principal ID
+ * @returns {boolean} Whether a custom quota existed
+ */
+export const clearDailyQuota = async (userId) => (await redisClient.hDel(QUOTAS_KEY, userId)) > 0;
+
+/**
+ * Every custom quota set by admins
+ * @returns {Array} `{ userId, dailyMessages }` per user
+ */
+export const listDailyQuotas = async () => {
+    const quotas = await redisClient.hGetAll(QUOTAS_KEY);
+    return Object.entries(quotas).map(([userId, dailyMessages]) => ({ userId, dailyMessages: parseInt(dailyMessages) }));
+};
+
+/**
+ * A user's quota together with today's usage
+ * @param {string} userId - Principal ID
+ * @returns {Object} `{ userId, dailyMessages, custom, used, remaining, resetAt }`; remaining is null when unlimited
+ */
+export const getQuotaUsage = async (userId) => {
+    const [quota, used] = await Promise.all([getDailyQuota(userId), redisClient.get(usageKey(userId, today()))]);
+    const usedCount = parseInt(used || 0);
+
+    return {
+        ...quota,
+        used: usedCount,
+        remaining: quota.dailyMessages > 0 ? Math.max(quota.dailyMessages - usedCount, 0) : null,
+        resetAt: nextQuotaReset().toISOString()
+    };
+};
+
+/**
+ * Count a chat message against the user's daily quota
+ * @param {string} userId - Principal ID
+ * @returns {Object|null} `{ limit: 'daily-quota', max, used, retryAfterSeconds, retryAt }` when the quota
+ *   is used up, or null when the message is allowed
+ */
+export const consumeDailyQuota = async (userId) => {
+    const { dailyMessages } = await getDailyQuota(userId);
+    if (!dailyMessages) {
+        return null;
+    }
+
+    const key = usageKey(userId, today());
+    const [used] = await redisClient.multi()
+        .incr(key)
+        .expire(key, 2 * 24 * 60 * 60)
+        .exec();
+
+    if (used <= dailyMessages) {
+        return null;
+    }
+
+    // Rejected messages don't use up quota
+    await redisClient.decr(key);
+    const reset = nextQuotaReset();
+    return {
+        limit: 'daily-quota',
+        max: dailyMessages,
+        used: dailyMessages,
+        retryAfterSeconds: Math.ceil((reset.getTime() - Date.now()) / 1000),
+        retryAt: reset.toISOString()
+    };
+};
@@ -0,0 +1,168 @@
+import { jest } from '@jest/globals';
+
+// In-memory stand-in for the node-redis commands the limiter uses
+const store = new Map();
+const expiries = new Map();
+const incr = (key) => {
+    const value = parseInt(store.get(key) || 0) + 1;
+    store.set(key, String(value));
+    return value;
+};
+const fakeRedis = {
+    multi() {
+        const results = [];
+        const chain = {
+            incr: (key) => { results.push(incr(key)); return chain; },
+            pExpire: (key, ms) => { expiries.set(key, ms); results.push(true); return chain; },
+            expire: (key, seconds) => { expiries.set(key, seconds * 1000); results.push(true); return chain; },
+            exec: async () => results
+        };
+        return chain;
+    },
+    get: async (key) => store.get(key) ?? null,
+    decr: async (key) => {
+        store.set(key, String(parseInt(store.get(key) || 0) - 1));
+    },
+    del: async (key) => store.delete(key),
+    hGet: async (hash, field) => store.get(`${hash}/${field}`) ?? null,
+    hSet: async (hash, field, value) => store.set(`${hash}/${field}`, value),
+    hDel: async (hash, field) => (store.delete(`${hash}/${field}`) ? 1 : 0),
+    hGetAll: async (hash) => Object.fromEntries([...store]
+        .filter(([key]) => key.startsWith(`${hash}/`))
+        .map(([key, value]) => [key.slice(hash.length + 1), value]))
+};
+jest.unstable_mockModule('../utils/redisClient.js', () => ({ default: fakeRedis }));
+
+// A zero window would divide by zero; it must fall back to the 15 minute default
+process.env.RATE_LIMIT_WINDOW_MS = '0';
+process.env.RATE_LIMIT_CHAT_IP = '2';
+process.env.RATE_LIMIT_CHAT_SESSION = '0';
+process.env.RATE_LIMIT_CHAT_USER = '3';
+process.env.DAILY_MESSAGE_QUOTA = '2';
+
+const {
+    RATE_LIMIT_WINDOW_MS,
+    getRateLimit,
+    consumeRateLimit,
+    createRateLimitStore,
+    consumeDailyQuota,
+    setDailyQuota,
+    clearDailyQuota,
+    getQuotaUsage
+} = await import('./rateLimitService.js');
+
+const WINDOW_MS = 900000;
+
+beforeEach(() => {
+    store.clear();
+    expiries.clear();
+    jest.useFakeTimers({ now: new Date('2024-06-03T10:07:30Z') });
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('rate limit settings', () => {
+    test('falls back to the default window when RATE_LIMIT_WINDOW_MS is not positive', () => {
+        expect(RATE_LIMIT_WINDOW_MS).toBe(WINDOW_MS);
+    });
+
+    test('reads per-dimension limits, where 0 switches a dimension off', () => {
+        expect(getRateLimit('chat', 'ip')).toBe(2);
+        expect(getRateLimit('chat', 'session')).toBe(0);
+        expect(getRateLimit('retrieve', 'session')).toBe(0);
+        expect(getRateLimit('unknown', 'ip')).toBe(0);
+    });
+});
+
+describe('consumeRateLimit', () => {
+    test('counts hits in a fixed window keyed on its start', async () => {
+        const windowStart = Math.floor(Date.now() / WINDOW_MS) * WINDOW_MS;
+        await consumeRateLimit('chat', { ip: '1.2.3.4' });
+
+        const key = `rate-limit:chat:ip:1.2.3.4:${windowStart}`;
+        expect(store.get(key)).toBe('1');
+        expect(expiries.get(key)).toBe(WINDOW_MS);
+        expect(new Date(windowStart).toISOString()).toBe('2024-06-03T10:00:00.000Z');
+    });
+
+    test('rejects the first request over a limit with the time the window resets', async () => {
+        expect(await consumeRateLimit('chat', { ip: '1.2.3.4' })).toBeNull();
+        expect(await consumeRateLimit('chat', { ip: '1.2.3.4' })).toBeNull();
+
+        expect(await consumeRateLimit('chat', { ip: '1.2.3.4' })).toEqual({
+            scope: 'chat',
+            limit: 'ip',
+            max: 2,
+            retryAfterSeconds: 450,
+            retryAt: '2024-06-03T10:15:00.000Z'
+        });
+    });
+
+    test('starts counting again in the next window', async () => {
+        await consumeRateLimit('chat', { ip: '1.2.3.4' });
+        await consumeRateLimit('chat', { ip: '1.2.3.4' });
+        jest.setSystemTime(new Date('2024-06-03T10:15:00Z'));
+
+        expect(await consumeRateLimit('chat', { ip: '1.2.3.4' })).toBeNull();
+    });
+
+    test('limits each identity separately and skips missing identities and disabled dimensions', async () => {
+        for (let i = 0; i < 3; i++) {
+            expect(await consumeRateLimit('chat', { ip: `10.0.0.${i}`, session: 's1', user: 'key:web' })).toBeNull();
+        }
+        expect(await consumeRateLimit('chat', { ip: '10.0.0.9', session: 's1', user: 'key:web' }))
+            .toMatchObject({ limit: 'user', max: 3 });
+        expect([...store.keys()].some(key => key.includes(':session:'))).toBe(false);
+    });
+});
+
+describe('createRateLimitStore', () => {
+    test('shares counters with consumeRateLimit and can take a hit back', async () => {
+        const rateStore = createRateLimitStore('chat', 'ip');
+        await consumeRateLimit('chat', { ip: '1.2.3.4' });
+
+        const { totalHits, resetTime } = await rateStore.increment('1.2.3.4');
+        expect(totalHits).toBe(2);
+        expect(resetTime.toISOString()).toBe('2024-06-03T10:15:00.000Z');
+
+        await rateStore.decrement('1.2.3.4');
+        expect(await consumeRateLimit('chat', { ip: '1.2.3.4' })).toBeNull();
+    });
+});
+
+describe('daily quota', () => {
+    test('allows DAILY_MESSAGE_QUOTA messages a day and rejects the rest without using quota', async () => {
+        expect(await consumeDailyQuota('key:web')).toBeNull();
+        expect(await consumeDailyQuota('key:web')).toBeNull();
+
+        expect(await consumeDailyQuota('key:web')).toEqual({
+            limit: 'daily-quota',
+            max: 2,
+            used: 2,
+            retryAfterSeconds: 13 * 3600 + 52 * 60 + 30,
+            retryAt: '2024-06-04T00:00:00.000Z'
+        });
+        expect((await getQuotaUsage('key:web')).used).toBe(2);
+    });
+
+    test('resets at midnight UTC', async () => {
+        await consumeDailyQuota('key:web');
+        await consumeDailyQuota('key:web');
+        jest.setSystemTime(new Date('2024-06-04T00:00:01Z'));
+
+        expect(await consumeDailyQuota('key:web')).toBeNull();
+    });
+
+    test('applies a custom quota, where 0 means unlimited, until it is cleared', async () => {
+        await setDailyQuota('key:web', 0);
+        for (let i = 0; i < 5; i++) {
+            expect(await consumeDailyQuota('key:web')).toBeNull();
+        }
+        expect(await getQuotaUsage('key:web')).toMatchObject({ dailyMessages: 0, custom: true, remaining: null });
+
+        expect(await clearDailyQuota('key:web')).toBe(true);
+        expect(await getQuotaUsage('key:web')).toMatchObject({ dailyMessages: 2, custom: false, used: 0, remaining: 2 });
+    });
+});
@@ -0,0 +1,221 @@
+import dotenv from 'dotenv';
+import axios from 'axios';
+import { withRetry } from '../utils/retry.js';
+import { generateText, getLLMProvider } from './llmService.js';
+import { cosineSimilarity as cosine } from '../utils/similarity.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const JINA_API_KEY = process.env.JINA_API_KEY;
+const JINA_RERANK_URL = 'https://api.jina.ai/v1/rerank';
+const JINA_RERANK_MODEL = process.env.JINA_RERANK_MODEL || 'jina-reranker-v2-base-multilingual';
+// Defaults to the LLM provider's fast model
+const LLM_RERANK_MODEL = process.env.LLM_RERANK_MODEL;
+// Passage length sent to remote rerankers; keeps prompts and payloads small
+const MAX_PASSAGE_CHARS = 1000;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'does', 'for', 'from', 'has', 'have',
+    'how', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'said', 'say', 'that', 'the', 'their', 'this',
+    'to', 'was', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'about', 'after'
+]);
+
+/**
+ * Lowercase word tokens without stopwords
+ * @param {string} text - Input text
+ * @returns {Array<string>} Tokens
+ */
+const tokenize = (text) => (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+
+/**
+ * Text a reranker scores for an article
+ * @param {Object} article - Article from retrieval
+ * @returns {string} Title and matched text
+ */
+const passageText = (article) => `${article.metadata.title || ''}\n${article.text}`.slice(0, MAX_PASSAGE_CHARS);
+
+/*
+ * A reranker has the shape:
+ *   {
+ *     name: string,
+ *     rerank(query, articles): Promise<number[]>   // one relevance score in [0, 1] per article, in input order
+ *   }
+ */
+
+/**
+ * Local reranker scoring query term coverage in the article text and title.
+ * Free and fast; rewards exact names and numbers that dense similarity blurs.
+ */
+const lexicalReranker = {
+    name: 'lexical',
+    async rerank(query, articles) {
+        const queryTerms = [...new Set(tokenize(query))];
+        if (queryTerms.length === 0) {
+            return articles.map(() => 0);
+        }
+
+        return articles.map(article => {
+            const textTokens = new Set(tokenize(article.text));
+            const titleTokens = new Set(tokenize(article.metadata.title || ''));
+            const textCoverage = queryTerms.filter(term => textTokens.has(term)).length / queryTerms.length;
+            const titleCoverage = queryTerms.filter(term => titleTokens.has(term)).length / queryTerms.length;
+            return 0.7 * textCoverage + 0.3 * titleCoverage;
+        });
+    }
+};
+
+/**
+ * Cross-encoder reranker using Jina's rerank API
+ */
+const jinaReranker = {
+    name: 'jina',
+    async rerank(query, articles) {
+        const response = await withRetry(() => axios.post(
+            JINA_RERANK_URL,
+            {
+                model: JINA_RERANK_MODEL,
+                query,
+                documents: articles.map(passageText)
+            },
+            {
+                headers: {
+                    'Authorization': `Bearer ${JINA_API_KEY}`,
+                    'Content-Type': 'application/json'
+                }
+            }
+        ), { label: 'jina rerank request' });
+
+        const scores = articles.map(() => 0);
+        for (const result of response.data.results) {
+            scores[result.index] = result.relevance_score;
+        }
+        return scores;
+    }
+};
+
+/**
+ * Reranker that asks an LLM to grade each passage's relevance
+ */
+const llmReranker = {
+    name: 'llm',
+    async rerank(query, articles) {
+        const passages = articles
+            .map((article, i) => `[${i + 1}] ${passageText(article).replace(/\s+/g, ' ')}`)
+            .join('\n\n');
+
+        const prompt = `
+Rate how relevant each news passage is to the query, from 0 (unrelated) to 10 (directly answers it).
+Respond with only a JSON array of ${articles.length} numbers, one per passage, in order.
+
+Query: ${query}
+
+Passages:
+${passages}
+`;
+
+        const { text } = await generateText(prompt, { model: LLM_RERANK_MODEL || getLLMProvider().fastModel, temperature: 0 });
+        const match = text.match(/\[[\s\S]*?\]/);
+        const scores = match ? JSON.parse(match[0]) : null;
+
+        if (!Array.isArray(scores) || scores.length !== articles.length || scores.some(score => typeof score !== 'number')) {
+            throw new Error('LLM reranker returned an invalid score list');
+        }
+
+        return scores.map(score => Math.min(Math.max(score / 10, 0), 1));
+    }
+};
+
+const RERANKERS = {
+    lexical: lexicalReranker,
+    jina: jinaReranker,
+    llm: llmReranker
+};
+
+const RERANKER_NAMES = ['none', ...Object.keys(RERANKERS)];
+
+/**
+ * Scale values to [0, 1] so relevance and similarity are comparable in MMR
+ */
+const minMaxNormalize = (values) => {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    return values.map(value => (max > min ? (value - min) / (max - min) : 1));
+};
+
+/**
+ * Select k articles by maximal marginal relevance:
+ * argmax λ·relevance − (1 − λ)·max similarity to the already selected articles
+ * @param {Array} articles - Candidates, each with a `vector`
+ * @param {Array<number>} relevance - Relevance per candidate
+ * @param {number} k - Number of articles to select
+ * @param {number} lambda - Trade-off between relevance (1) and diversity (0)
+ * @returns {Array} Selected articles in selection order, each with `mmrScore`
+ */
+const maximalMarginalRelevance = (articles, relevance, k, lambda) => {
+    const normalized = minMaxNormalize(relevance);
+    const remaining = articles.map((article, index) => index);
+    const selected = [];
+
+    while (selected.length < k && remaining.length > 0) {
+        let best = null;
+
+        for (const index of remaining) {
+            const redundancy = selected.length > 0 && articles[index].vector
+                ? Math.max(...selected.map(({ index: chosen }) =>
+                    articles[chosen].vector ? cosine(articles[index].vector, articles[chosen].vector) : 0))
+                : 0;
+            const score = lambda * normalized[index] - (1 - lambda) * redundancy;
+
+            if (!best || score > best.score) {
+                best = { index, score };
+            }
+        }
+
+        selected.push(best);
+        remaining.splice(remaining.indexOf(best.index), 1);
+    }
+
+    return selected.map(({ index, score }) => ({ ...articles[index], mmrScore: score }));
+};
+
+/**
+ * Rerank and diversify retrieved articles, then keep the final k.
+ * Each returned article keeps its original `score` and gains `scores.rerank` and `scores.mmr`
+ * when those stages ran. A failing reranker is logged and skipped rather than failing retrieval.
+ * @param {string} query - User query
+ * @param {Array} articles - Over-fetched candidates, best first
+ * @param {Object} options
+ * @param {number} options.k - Number of articles to return
+ * @param {string} [options.reranker] - none, lexical, jina or llm
+ * @param {boolean} [options.mmr] - Apply MMR diversification (needs article vectors)
+ * @param {number} [options.lambda] - MMR relevance/diversity trade-off
+ * @returns {Array} Final articles
+ */
+export const rerankArticles = async (query, articles, { k, reranker = 'none', mmr = false, lambda = 0.7 }) => {
+    let candidates = articles;
+    let relevance = articles.map(article => article.score);
+
+    const implementation = RERANKERS[reranker];
+    if (implementation && candidates.length > 0) {
+        try {
+            const scores = await implementation.rerank(query, candidates);
+            candidates = candidates
+                .map((article, i) => ({ ...article, scores: { ...article.scores, rerank: scores[i] } }))
+                .sort((a, b) => b.scores.rerank - a.scores.rerank);
+            relevance = candidates.map(article => article.scores.rerank);
+        } catch (error) {
+            logger.error('Reranker failed, keeping retrieval order', { reranker, error });
+        }
+    }
+
+    if (!mmr) {
+        return candidates.slice(0, k);
+    }
+
+    return maximalMarginalRelevance(candidates, relevance, k, lambda)
+        .map(({ mmrScore, ...article }) => ({ ...article, scores: { ...article.scores, mmr: mmrScore } }));
+};
+
+export { RERANKER_NAMES, maximalMarginalRelevance };
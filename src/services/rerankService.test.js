@@ -0,0 +1,60 @@
+import { maximalMarginalRelevance, rerankArticles } from './rerankService.js';
+
+const article = (id, score, vector, text = '', title = '') => ({ id, score, vector, text, metadata: { title }, scores: { vector: score } });
+
+describe('maximalMarginalRelevance', () => {
+    // a and b are near-duplicates, c covers something else
+    const articles = [
+        article('a', 0.95, [1, 0]),
+        article('b', 0.9, [0.99, 0.14]),
+        article('c', 0.6, [0, 1])
+    ];
+
+    test('picks by relevance alone when lambda is 1', () => {
+        const selected = maximalMarginalRelevance(articles, articles.map(a => a.score), 3, 1);
+        expect(selected.map(a => a.id)).toEqual(['a', 'b', 'c']);
+    });
+
+    test('prefers a diverse article over a near-duplicate of one already selected', () => {
+        const selected = maximalMarginalRelevance(articles, articles.map(a => a.score), 2, 0.5);
+        expect(selected.map(a => a.id)).toEqual(['a', 'c']);
+        expect(selected[0].mmrScore).toBeCloseTo(0.5);
+    });
+
+    test('returns at most k articles and no more than there are candidates', () => {
+        expect(maximalMarginalRelevance(articles, [0.9, 0.8, 0.7], 1, 0.7)).toHaveLength(1);
+        expect(maximalMarginalRelevance(articles, [0.9, 0.8, 0.7], 10, 0.7)).toHaveLength(3);
+        expect(maximalMarginalRelevance([], [], 3, 0.7)).toEqual([]);
+    });
+
+    test('treats articles without vectors as not redundant', () => {
+        const withoutVectors = articles.map(({ vector, ...rest }) => rest);
+        const selected = maximalMarginalRelevance(withoutVectors, [0.95, 0.9, 0.6], 3, 0.5);
+        expect(selected.map(a => a.id)).toEqual(['a', 'b', 'c']);
+    });
+});
+
+describe('rerankArticles', () => {
+    const articles = [
+        article('a', 0.9, [1, 0], 'Markets rallied on Friday', 'Stocks'),
+        article('b', 0.8, [0, 1], 'The monsoon reached Kerala early this year', 'Weather'),
+        article('c', 0.7, [0.7, 0.7], 'Heavy monsoon rain in Kerala', 'Kerala monsoon')
+    ];
+
+    test('keeps retrieval order and cuts to k without a reranker or MMR', async () => {
+        const result = await rerankArticles('monsoon kerala', articles, { k: 2 });
+        expect(result.map(a => a.id)).toEqual(['a', 'b']);
+    });
+
+    test('reorders by lexical query coverage and records the rerank score', async () => {
+        const result = await rerankArticles('monsoon in Kerala', articles, { k: 2, reranker: 'lexical' });
+        expect(result.map(a => a.id)).toEqual(['c', 'b']);
+        expect(result[0].scores).toEqual({ vector: 0.7, rerank: 1 });
+    });
+
+    test('records the MMR score when diversifying', async () => {
+        const result = await rerankArticles('monsoon', articles, { k: 3, mmr: true, lambda: 0.7 });
+        expect(result).toHaveLength(3);
+        result.forEach(a => expect(typeof a.scores.mmr).toBe('number'));
+    });
+});
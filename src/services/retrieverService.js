@@ -1,6 +1,12 @@
 import dotenv from 'dotenv';
 import { QdrantClient } from '@qdrant/js-client-rest';
-import { generateEmbedding } from '../utils/newsIngestion.js'
+import { generateEmbedding, getEmbeddingProvider } from './embeddingService.js'
+import { searchChunks } from './keywordIndexService.js';
+import { toTimestamp } from '../utils/dateUtils.js';
+import { rerankArticles } from './rerankService.js';
+import logger, { redact } from '../utils/logger.js';
+import { ApiError } from '../utils/errors.js';
+import { embeddingDuration, retrievalDuration, emptyRetrievals, retrievalFailures } from '../utils/metrics.js';
 
 
 dotenv.config()
@@ -8,35 +14,333 @@ dotenv.config()
 const QDRANT_API_KEY = process.env.QDRANT_API_KEY;
 const QDRANT_URL = process.env.QDRANT_URL || 'http://localhost:6333';
 const QDRANT_COLLECTION_NAME = process.env.QDRANT_COLLECTION_NAME || 'news';
+// How many chunks to fetch per requested article, so articles with several matching chunks still fill k
+const CHUNKS_PER_ARTICLE = parseInt(process.env.RETRIEVAL_CHUNKS_PER_ARTICLE) || 3;
+const RETRIEVAL_MODE = process.env.RETRIEVAL_MODE || 'vector';
+// Reciprocal rank fusion constant; larger values flatten the advantage of top ranks
+const RRF_K = parseInt(process.env.RRF_K) || 60;
+// Post-retrieval stage defaults, overridable per request
+const RERANKER = process.env.RERANKER || 'none';
+const RERANK_CANDIDATES = parseInt(process.env.RERANK_CANDIDATES) || 20;
+const MMR_ENABLED = process.env.MMR_ENABLED === 'true';
+// Unset or non-numeric falls back to 0.7; 0 (pure diversity) is kept
+const MMR_LAMBDA = Number.isNaN(parseFloat(process.env.MMR_LAMBDA)) ? 0.7 : parseFloat(process.env.MMR_LAMBDA);
+
+// Fail at startup rather than on the first diversified request
+if (!(MMR_LAMBDA >= 0 && MMR_LAMBDA <= 1)) {
+    throw new Error(`Invalid MMR_LAMBDA (${process.env.MMR_LAMBDA}): must be a number between 0 and 1`);
+}
+
+const RETRIEVAL_MODES = ['vector', 'keyword', 'hybrid'];
+const DATE_FILTERS = ['publishedAfter', 'publishedBefore'];
+const LIST_FILTERS = ['sources', 'categories', 'keywords'];
 
 const qdrant = new QdrantClient({
     url: QDRANT_URL,
     apiKey: QDRANT_API_KEY,
 });
 
-async function getTopKChunks(query, k = 5, collection = QDRANT_COLLECTION_NAME) {
+/**
+ * Normalize a retrieval filters object that already passed the request schema
+ * @param {Object} [raw] - publishedAfter/publishedBefore (ISO date or ms timestamp), sources,
+ *   categories and keywords (arrays of trimmed strings)
+ * @returns {Object|null} Filters with dates as ms timestamps and empty lists dropped (null when no filters)
+ */
+function normalizeFilters(raw) {
+    if (!raw) {
+        return null;
+    }
+
+    const filters = {};
+
+    for (const key of DATE_FILTERS) {
+        if (raw[key] !== undefined) {
+            filters[key] = toTimestamp(raw[key]);
+        }
+    }
+
+    for (const key of LIST_FILTERS) {
+        if (raw[key]?.length > 0) {
+            filters[key] = raw[key];
+        }
+    }
+
+    return Object.keys(filters).length > 0 ? filters : null;
+}
+
+/**
+ * Build getTopKArticles options from the retrieval fields of a validated request body or socket
+ * event. Limits and allowed values are enforced by the Joi schemas in validation/schemas.js.
+ * @param {Object} input - `{ mode, filters, rerank }`
+ * @returns {Object} `{ mode, filters, rerank }`; undefined rerank fields fall back to the env defaults
+ */
+function toRetrievalOptions({ mode, filters, rerank } = {}) {
+    return { mode, filters: normalizeFilters(filters), rerank: rerank ?? {} };
+}
+
+/**
+ * Translate normalized filters into a Qdrant payload filter
+ * @param {Object|null} filters - Normalized filters
+ * @returns {Object|undefined} Qdrant filter
+ */
+function buildQdrantFilter(filters) {
+    if (!filters) {
+        return undefined;
+    }
+
+    const must = [];
+
+    if (filters.publishedAfter !== undefined || filters.publishedBefore !== undefined) {
+        must.push({ key: 'pubDate', range: { gte: filters.publishedAfter, lte: filters.publishedBefore } });
+    }
+    if (filters.sources) {
+        must.push({ key: 'source', match: { any: filters.sources } });
+    }
+    if (filters.categories) {
+        must.push({ key: 'categories', match: { any: filters.categories } });
+    }
+    // Every keyword must appear in the chunk or its article title
+    for (const keyword of filters.keywords || []) {
+        must.push({
+            should: [
+                { key: 'chunk', match: { text: keyword } },
+                { key: 'title', match: { text: keyword } }
+            ]
+        });
+    }
+
+    return must.length > 0 ? { must } : undefined;
+}
+
+/**
+ * Embed a chat or retrieval query, timing it for the embedding latency metric
+ * @param {string} query - Query text
+ * @returns {Array<number>} Query embedding
+ */
+async function embedQuery(query) {
+    const endTimer = embeddingDuration.startTimer({ provider: getEmbeddingProvider().name });
+    const vector = await generateEmbedding(query);
+    endTimer();
+    return vector;
+}
+
+/**
+ * Dense search over chunk embeddings
+ * @returns {Array} Hits `{ id, score, payload }`, best first
+ */
+async function vectorSearch(query, limit, collection, filters, withVectors = false, queryVector = null) {
+    const queryEmbedding = queryVector || await embedQuery(query);
+    const result = await qdrant.search(collection, {
+        vector: queryEmbedding,
+        filter: buildQdrantFilter(filters),
+        limit,
+        with_payload: true,
+        with_vector: withVectors
+    })
+
+    return result.map(hit => ({ id: String(hit.id), score: hit.score, payload: hit.payload, vector: hit.vector }));
+}
+
+/**
+ * Full-text search over the keyword index, hydrated with payloads from Qdrant
+ * @returns {Array} Hits `{ id, score, payload }`, best first
+ */
+async function keywordSearch(query, limit, collection, filters, withVectors = false) {
+    const hits = await searchChunks(query, limit, filters);
+    if (hits.length === 0) {
+        return [];
+    }
+
+    const points = await qdrant.retrieve(collection, {
+        ids: hits.map(hit => hit.id),
+        with_payload: true,
+        with_vector: withVectors
+    });
+    const stored = new Map(points.map(point => [String(point.id), point]));
+
+    // Index rows whose point no longer exists in Qdrant are dropped
+    return hits
+        .filter(hit => stored.has(hit.id))
+        .map(hit => ({ ...hit, payload: stored.get(hit.id).payload, vector: stored.get(hit.id).vector }));
+}
+
+/**
+ * Merge ranked hit lists with reciprocal rank fusion: score = Σ 1 / (RRF_K + rank)
+ * @param {Object} rankings - Hit lists keyed by signal name, each best first
+ * @returns {Array} Fused hits with per-signal scores and ranks, best first
+ */
+function reciprocalRankFusion(rankings) {
+    const fused = new Map();
+
+    for (const [signal, hits] of Object.entries(rankings)) {
+        hits.forEach((hit, index) => {
+            if (!fused.has(hit.id)) {
+                fused.set(hit.id, { id: hit.id, payload: hit.payload, vector: hit.vector, scores: { rrf: 0 } });
+            }
+            const entry = fused.get(hit.id);
+            entry.scores[signal] = hit.score;
+            entry.scores[`${signal}Rank`] = index + 1;
+            entry.scores.rrf += 1 / (RRF_K + index + 1);
+        });
+    }
+
+    return [...fused.values()]
+        .map(entry => ({ ...entry, score: entry.scores.rrf }))
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Retrieve the top K chunks for a query
+ * @param {string} query - User query
+ * @param {Object} [options]
+ * @param {number} [options.k] - Number of chunks to return
+ * @param {string} [options.mode] - `vector`, `keyword` or `hybrid` (both, merged with reciprocal rank fusion)
+ * @param {Object} [options.filters] - Normalized metadata filters (see normalizeFilters)
+ * @param {string} [options.collection] - Qdrant collection name
+ * @param {boolean} [options.withVectors] - Include each chunk's embedding as `vector`
+ * @param {Array<number>} [options.queryVector] - Precomputed query embedding, saves an embedding request
+ * @returns {Array} Chunks with id, score, per-signal scores, chunk text and payload metadata
+ * @throws {ApiError} 503 RETRIEVAL_UNAVAILABLE when the embedding provider, Qdrant or the keyword index fails
+ */
+async function getTopKChunks(query, { k = 5, mode = RETRIEVAL_MODE, filters = null, collection = QDRANT_COLLECTION_NAME, withVectors = false, queryVector = null } = {}) {
     try {
-        const queryEmbedding = await generateEmbedding(query);
-        const result = await qdrant.search(collection, {
-            vector: queryEmbedding,
-            limit: k,
-            with_payload: true,
-            with_vector: false
-        })
-
-        return result.map(hit => ({
+        let hits;
+
+        if (mode === 'hybrid') {
+            const [vectorHits, keywordHits] = await Promise.all([
+                vectorSearch(query, k, collection, filters, withVectors, queryVector),
+                // Hybrid still answers from dense search alone if the keyword index is unavailable
+                keywordSearch(query, k, collection, filters, withVectors).catch(error => {
+                    logger.error('Keyword search failed, falling back to vector results', { error });
+                    return [];
+                })
+            ]);
+            hits = reciprocalRankFusion({ vector: vectorHits, keyword: keywordHits }).slice(0, k);
+        } else {
+            const search = mode === 'keyword' ? keywordSearch : vectorSearch;
+            hits = (await search(query, k, collection, filters, withVectors, queryVector)).map(hit => ({ ...hit, scores: { [mode]: hit.score } }));
+        }
+
+        return hits.map(hit => ({
             id: hit.id,
             score: hit.score,
+            scores: hit.scores,
             chunk: hit.payload.chunk || null,
-            metadata: hit.payload
+            metadata: hit.payload,
+            ...(withVectors ? { vector: hit.vector } : {})
         }));
     } catch (error) {
-        console.error("error retreiving top chunks", error)
+        logger.error('Error retrieving top chunks', { error });
+        throw new ApiError(503, 'RETRIEVAL_UNAVAILABLE', 'Article retrieval is unavailable, please try again', null, { cause: error });
+    }
+}
+
+/**
+ * Group chunk hits back into their parent articles
+ * @param {Array} chunks - Chunk hits from getTopKChunks, best first
+ * @returns {Array} Articles ordered by their best chunk score, each with its matched chunks in reading order
+ */
+function groupChunksByArticle(chunks) {
+    const articles = new Map();
+
+    for (const hit of chunks) {
+        // Points stored before chunking have no articleId; they are their own article
+        const articleId = hit.metadata.articleId || hit.id;
+        const { chunk, chunkIndex, chunkCount, ...metadata } = hit.metadata;
+
+        if (!articles.has(articleId)) {
+            articles.set(articleId, { id: articleId, score: hit.score, scores: hit.scores, metadata, chunks: [] });
+        }
+
+        articles.get(articleId).chunks.push({
+            id: hit.id,
+            chunkIndex: chunkIndex ?? 0,
+            score: hit.score,
+            scores: hit.scores,
+            text: chunk || metadata.textContent || '',
+            vector: hit.vector
+        });
     }
 
+    return [...articles.values()].map(article => {
+        const vectors = article.chunks.map(c => c.vector).filter(Boolean);
+        const grouped = {
+            ...article,
+            chunks: article.chunks
+                .sort((a, b) => a.chunkIndex - b.chunkIndex)
+                .map(({ vector, ...c }) => c),
+            text: article.chunks.map(c => c.text).join('\n...\n')
+        };
+
+        // An article's vector is the mean of its matched chunks' vectors (used for MMR)
+        if (vectors.length > 0) {
+            grouped.vector = vectors[0].map((_, i) => vectors.reduce((sum, v) => sum + v[i], 0) / vectors.length);
+        }
+
+        return grouped;
+    });
 }
 
-export {getTopKChunks}
+/**
+ * Retrieve the top K articles for a query, built from their best matching chunks.
+ * When a reranker or MMR is enabled, more candidates are fetched first and narrowed down to k.
+ * @param {string} query - User query
+ * @param {Object} [options]
+ * @param {number} [options.k] - Number of articles to return
+ * @param {string} [options.mode] - Retrieval mode, see getTopKChunks
+ * @param {Object} [options.filters] - Normalized metadata filters, see getTopKChunks
+ * @param {Object} [options.rerank] - `{ reranker, candidates, mmr, lambda }`, defaults from env
+ * @param {string} [options.collection] - Qdrant collection name
+ * @param {Array<number>} [options.queryVector] - Precomputed query embedding, see getTopKChunks
+ * @returns {Array} Articles with id, score, per-signal scores (incl. rerank/mmr), metadata, matched chunks and joined text
+ */
+async function getTopKArticles(query, { k = 5, rerank = {}, ...options } = {}) {
+    const reranker = rerank.reranker ?? RERANKER;
+    const mmr = rerank.mmr ?? MMR_ENABLED;
+    const postProcess = reranker !== 'none' || mmr;
+    const candidates = postProcess ? Math.max(rerank.candidates ?? RERANK_CANDIDATES, k) : k;
+    const mode = options.mode ?? RETRIEVAL_MODE;
+    // Failed retrievals are timed too, so an outage shows up in the latency histogram
+    const endTimer = retrievalDuration.startTimer({ mode });
 
+    let chunks;
+    let articles;
+    try {
+        chunks = await getTopKChunks(query, { ...options, k: candidates * CHUNKS_PER_ARTICLE, withVectors: mmr });
+        articles = groupChunksByArticle(chunks).slice(0, candidates);
 
+        if (postProcess) {
+            articles = await rerankArticles(query, articles, { k, reranker, mmr, lambda: rerank.lambda ?? MMR_LAMBDA });
+        }
+    } catch (error) {
+        retrievalFailures.inc({ mode });
+        throw error;
+    } finally {
+        endTimer();
+    }
+
+    if (articles.length === 0) {
+        emptyRetrievals.inc({ mode });
+    }
+
+    logger.info('Retrieved articles', {
+        query: redact(query),
+        mode,
+        filtered: Boolean(options.filters),
+        reranker,
+        mmr,
+        chunkCount: chunks.length,
+        articleCount: Math.min(articles.length, k)
+    });
+    return articles.slice(0, k).map(({ vector, ...article }) => article);
+}
+
+/**
+ * Check that Qdrant is reachable, for the readiness probe
+ * @returns {Promise<void>} Resolves when Qdrant answered
+ */
+async function pingVectorStore() {
+    await qdrant.getCollections();
+}
 
+export {getTopKChunks, embedQuery, pingVectorStore, getTopKArticles, groupChunksByArticle, reciprocalRankFusion, normalizeFilters, toRetrievalOptions, buildQdrantFilter, RETRIEVAL_MODES}
@@ -0,0 +1,48 @@
+import { jest } from '@jest/globals';
+
+// Importing the service must not reach out to Qdrant
+jest.unstable_mockModule('@qdrant/js-client-rest', () => ({ QdrantClient: class {} }));
+process.env.RRF_K = '60';
+
+const { reciprocalRankFusion } = await import('./retrieverService.js');
+
+const hit = (id, score) => ({ id, score, payload: { chunk: `chunk ${id}` } });
+
+describe('reciprocalRankFusion', () => {
+    test('ranks hits found by both signals above hits found by one', () => {
+        const fused = reciprocalRankFusion({
+            vector: [hit('a', 0.9), hit('b', 0.8), hit('c', 0.7)],
+            keyword: [hit('c', 12), hit('d', 8)]
+        });
+
+        expect(fused.map(entry => entry.id)).toEqual(['c', 'a', 'b', 'd']);
+    });
+
+    test('sums 1 / (RRF_K + rank) over the signals and keeps per-signal scores and ranks', () => {
+        const fused = reciprocalRankFusion({
+            vector: [hit('a', 0.9), hit('b', 0.8)],
+            keyword: [hit('b', 5)]
+        });
+        const b = fused.find(entry => entry.id === 'b');
+        const a = fused.find(entry => entry.id === 'a');
+
+        expect(a.score).toBeCloseTo(1 / 61);
+        expect(b.score).toBeCloseTo(1 / 62 + 1 / 61);
+        expect(b.scores).toEqual({ rrf: b.score, vector: 0.8, vectorRank: 2, keyword: 5, keywordRank: 1 });
+        expect(a.scores).toEqual({ rrf: a.score, vector: 0.9, vectorRank: 1 });
+        expect(b.payload).toEqual({ chunk: 'chunk b' });
+    });
+
+    test('ignores raw score scales and uses ranks only', () => {
+        const fused = reciprocalRankFusion({
+            vector: [hit('a', 0.99), hit('b', 0.01)],
+            keyword: [hit('b', 1000), hit('a', 999)]
+        });
+
+        expect(fused[0].score).toBeCloseTo(fused[1].score);
+    });
+
+    test('returns an empty list when no signal has hits', () => {
+        expect(reciprocalRankFusion({ vector: [], keyword: [] })).toEqual([]);
+    });
+});
@@ -1,21 +1,46 @@
 import redisClient from '../utils/redisClient.js';
 import { v4 as uuidv4 } from 'uuid';
+import logger, { getCorrelationId } from '../utils/logger.js';
 
 const SESSION_TTL = parseInt(process.env.SESSION_TTL) || 3600; // 1 hour default
 
+// Principal that created the session; expires together with the session's messages
+const ownerKey = (sessionId) => `session-owner:${sessionId}`;
+
 /**
  * Store a chat message in a session
  * @param {string} sessionId - Unique session identifier
  * @param {string} userQuery - User's question
  * @param {string} botResponse - Bot's response
- * @param {number} timestamp - Message timestamp
+ * @param {Object} [options]
+ * @param {string} [options.id] - Message identifier (generated when omitted)
+ * @param {Array} [options.sources] - Sources cited in the response
+ * @param {Array} [options.retrieved] - `{ articleId, score }` of every article the answer was generated from
+ * @param {Object} [options.timings] - `{ retrievalMs, firstTokenMs, generationMs, totalMs }` of the answer
+ * @param {number} [options.timestamp] - Message timestamp
+ * @param {string} [options.correlationId] - ID of the request or socket event that produced the message
+ *   (defaults to the active one), so a stored answer can be traced back to its logs
+ * @param {Object} [options.metadata] - Any other fields to keep on the message (e.g. provider, model, truncated)
  */
-export const storeMessage = async (sessionId, userQuery, botResponse, timestamp = Date.now()) => {
+export const storeMessage = async (sessionId, userQuery, botResponse, {
+    id = uuidv4(),
+    sources = [],
+    retrieved = [],
+    timings = null,
+    timestamp = Date.now(),
+    correlationId = getCorrelationId(),
+    ...metadata
+} = {}) => {
     try {
         const message = {
-            id: uuidv4(),
+            id,
             userQuery,
             botResponse,
+            sources,
+            retrieved,
+            timings,
+            ...metadata,
+            correlationId,
             timestamp
         };
 
@@ -26,10 +51,12 @@ export const storeMessage = async (sessionId, userQuery, botResponse, timestamp
         
         // Set TTL for the session
         await redisClient.expire(sessionKey, SESSION_TTL);
-        
+        await redisClient.expire(ownerKey(sessionId), SESSION_TTL);
+
+        logger.debug('Stored message', { sessionId, messageId: id });
         return message;
     } catch (error) {
-        console.error('Error storing message:', error);
+        logger.error('Error storing message', { error });
         throw error;
     }
 };
@@ -46,7 +73,7 @@ export const getSessionHistory = async (sessionId) => {
         
         return messages.map(msg => JSON.parse(msg)).reverse(); // Reverse to get chronological order
     } catch (error) {
-        console.error('Error retrieving session history:', error);
+        logger.error('Error retrieving session history', { error });
         throw error;
     }
 };
@@ -58,10 +85,10 @@ export const getSessionHistory = async (sessionId) => {
 export const clearSession = async (sessionId) => {
     try {
         const sessionKey = `session:${sessionId}`;
-        await redisClient.del(sessionKey);
+        await redisClient.del([sessionKey, ownerKey(sessionId)]);
         return true;
     } catch (error) {
-        console.error('Error clearing session:', error);
+        logger.error('Error clearing session', { error });
         throw error;
     }
 };
@@ -75,17 +102,71 @@ export const getActiveSessions = async () => {
         const keys = await redisClient.keys('session:*');
         return keys.map(key => key.replace('session:', ''));
     } catch (error) {
-        console.error('Error getting active sessions:', error);
+        logger.error('Error getting active sessions', { error });
         throw error;
     }
 };
 
 /**
- * Create a new session
+ * Create a new session bound to its creator
+ * @param {string} ownerId - ID of the authenticated principal creating the session
  * @returns {string} New session ID
  */
-export const createSession = () => {
-    return uuidv4();
+export const createSession = async (ownerId) => {
+    try {
+        const sessionId = uuidv4();
+        await redisClient.set(ownerKey(sessionId), ownerId, { EX: SESSION_TTL });
+        return sessionId;
+    } catch (error) {
+        logger.error('Error creating session', { error });
+        throw error;
+    }
+};
+
+/**
+ * Get the principal a session is bound to
+ * @param {string} sessionId - Session identifier
+ * @returns {string|null} Owner ID, or null for unknown or expired sessions
+ */
+export const getSessionOwner = async (sessionId) => {
+    try {
+        return await redisClient.get(ownerKey(sessionId));
+    } catch (error) {
+        logger.error('Error getting session owner', { error });
+        throw error;
+    }
+};
+
+/**
+ * Check that a user may read, chat in or clear a session: admins may use any session, users
+ * only their own. A session ID nobody owns yet is claimed by the first user to use it, unless
+ * it already has messages (sessions from before ownership existed stay admin-only).
+ * @param {Object} user - Authenticated principal `{ id, role }`
+ * @param {string} sessionId - Session identifier
+ * @returns {boolean} True if access is allowed
+ */
+export const authorizeSession = async (user, sessionId) => {
+    try {
+        if (user.role === 'admin') {
+            return true;
+        }
+
+        const owner = await redisClient.get(ownerKey(sessionId));
+        if (owner) {
+            return owner === user.id;
+        }
+
+        if (await redisClient.exists(`session:${sessionId}`)) {
+            return false;
+        }
+
+        // NX: when two users race for the same unowned ID, only the first one wins
+        await redisClient.set(ownerKey(sessionId), user.id, { NX: true, EX: SESSION_TTL });
+        return (await redisClient.get(ownerKey(sessionId))) === user.id;
+    } catch (error) {
+        logger.error('Error authorizing session access', { error });
+        throw error;
+    }
 };
 
 /**
@@ -96,8 +177,9 @@ export const refreshSession = async (sessionId) => {
     try {
         const sessionKey = `session:${sessionId}`;
         await redisClient.expire(sessionKey, SESSION_TTL);
+        await redisClient.expire(ownerKey(sessionId), SESSION_TTL);
     } catch (error) {
-        console.error('Error refreshing session:', error);
+        logger.error('Error refreshing session', { error });
         throw error;
     }
 };
\ No newline at end of file
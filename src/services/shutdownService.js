@@ -0,0 +1,91 @@
+import dotenv from 'dotenv';
+import redisClient from '../utils/redisClient.js';
+import pgPool from '../utils/pgClient.js';
+import { markShuttingDown, isShuttingDown } from './healthService.js';
+import { getActiveGenerationCount, waitForGenerations, cancelAllGenerations } from './generationService.js';
+import { closeSocketIO } from './socketService.js';
+import { stopIngestionScheduler } from './ingestionJobService.js';
+import logger from '../utils/logger.js';
+import { sleep } from '../utils/retry.js';
+
+dotenv.config();
+
+// How long in-flight answers may keep generating after SIGTERM before they are cancelled
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 30000;
+// How long storing answers and saving socket sessions as transcripts may take afterwards
+const SHUTDOWN_SAVE_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_SAVE_TIMEOUT_MS) || 10000;
+// Extra margin before the process is killed outright if closing the pools hangs
+const SHUTDOWN_FORCE_EXIT_MARGIN_MS = 5000;
+
+/**
+ * Drain the instance and exit:
+ * 1. fail /ready and stop accepting HTTP requests, sockets and new chat messages
+ * 2. let active generations finish, cancelling those still running at SHUTDOWN_TIMEOUT_MS
+ * 3. disconnect sockets, saving their sessions through saveTranscript
+ * 4. wait for remaining HTTP requests, then close the Redis and Postgres pools
+ * @param {http.Server} server - HTTP server
+ * @param {Server} io - Socket.IO server
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+const shutdown = async (server, io, signal) => {
+    if (isShuttingDown()) {
+        return;
+    }
+    markShuttingDown();
+    logger.info('Graceful shutdown started', { signal, activeGenerations: getActiveGenerationCount() });
+
+    const forceExit = setTimeout(() => {
+        logger.error('Graceful shutdown did not finish in time, exiting');
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS + SHUTDOWN_SAVE_TIMEOUT_MS * 3 + SHUTDOWN_FORCE_EXIT_MARGIN_MS);
+    forceExit.unref();
+
+    try {
+        stopIngestionScheduler();
+
+        // Stop listening; open connections (streams, sockets) stay up until drained below
+        const serverClosed = new Promise(resolve => server.close(resolve));
+        server.closeIdleConnections();
+
+        if (!(await waitForGenerations(SHUTDOWN_TIMEOUT_MS))) {
+            const cancelled = cancelAllGenerations();
+            logger.warn('Cancelled generations still running at the shutdown deadline', { cancelled });
+        }
+
+        await closeSocketIO(io, SHUTDOWN_SAVE_TIMEOUT_MS);
+
+        // Give other HTTP requests still running the same time to answer, then drop what is left
+        await Promise.race([serverClosed, sleep(SHUTDOWN_SAVE_TIMEOUT_MS)]);
+        server.closeAllConnections();
+
+        const pools = {
+            // QUIT waits for a reply, which never comes while the client is still reconnecting
+            redis: () => (redisClient.isReady ? redisClient.quit() : redisClient.disconnect()),
+            postgres: () => pgPool.end()
+        };
+        for (const [name, close] of Object.entries(pools)) {
+            try {
+                await close();
+            } catch (error) {
+                logger.warn('Failed to close connection pool', { pool: name, error: error.message });
+            }
+        }
+
+        logger.info('Graceful shutdown complete');
+        process.exit(0);
+    } catch (error) {
+        logger.error('Graceful shutdown failed', { error });
+        process.exit(1);
+    }
+};
+
+/**
+ * Shut down gracefully on SIGTERM (deploys, orchestrators) and SIGINT (Ctrl+C)
+ * @param {http.Server} server - HTTP server
+ * @param {Server} io - Socket.IO server
+ */
+export const registerGracefulShutdown = (server, io) => {
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+        process.on(signal, () => shutdown(server, io, signal));
+    }
+};
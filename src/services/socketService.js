@@ -1,13 +1,49 @@
 import { Server } from 'socket.io';
+import proxyaddr from 'proxy-addr';
 import { generateAnswer, generateAnswerStream } from './geminiService.js';
-import { storeMessage, getSessionHistory, clearSession, createSession, refreshSession } from './sessionService.js';
+import { storeMessage, getSessionHistory, clearSession, createSession, refreshSession, getSessionOwner, authorizeSession } from './sessionService.js';
 import { saveTranscript } from './transcriptService.js';
+import { toRetrievalOptions } from './retrieverService.js';
+import { parsePromptOptions } from './promptService.js';
+import { startGeneration, finishGeneration, cancelGeneration, cancelOwnerGenerations, shouldStoreCancelledAnswer } from './generationService.js';
+import { authenticateCredential, extractCredential } from './authService.js';
+import { consumeRateLimit, consumeDailyQuota } from './rateLimitService.js';
+import { isShuttingDown } from './healthService.js';
+import {
+    validateSchema,
+    joinSessionEventSchema,
+    chatMessageEventSchema,
+    cancelGenerationEventSchema,
+    cleanupSessionsEventSchema
+} from '../validation/schemas.js';
+import logger, { withCorrelationId, redact } from '../utils/logger.js';
+import { sleep } from '../utils/retry.js';
+import { ApiError } from '../utils/errors.js';
+import { chatRequests, activeSocketConnections } from '../utils/metrics.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// Event handlers still running, so a shutdown can wait for answers to be stored and sessions saved
+const pendingHandlers = new Set();
+
+/**
+ * Keep track of a running event handler until it settles
+ * @param {Promise|*} result - Handler return value
+ */
+const trackHandler = (result) => {
+    const pending = Promise.resolve(result)
+        .catch((error) => logger.error('Unhandled error in socket event handler', { error }))
+        .finally(() => pendingHandlers.delete(pending));
+    pendingHandlers.add(pending);
+};
 
 /**
  * Initialize Socket.IO server and handle chat connections
  * @param {http.Server} server - Express server instance
+ * @param {Object} [options]
+ * @param {Function} [options.trustProxy] - Express's compiled `trust proxy fn`, so the client IP used for
+ *   rate limiting is read from X-Forwarded-For exactly as `req.ip` is for REST requests
  */
-export const initializeSocketIO = (server) => {
+export const initializeSocketIO = (server, { trustProxy = () => false } = {}) => {
     const io = new Server(server, {
         cors: {
             origin: process.env.FRONTEND_URL || "http://localhost:5173",
@@ -16,23 +52,65 @@ export const initializeSocketIO = (server) => {
         }
     });
 
+    // Authenticate the handshake with `auth: { token }` or the same headers as the REST API
+    io.use((socket, next) => {
+        // A draining instance takes no new connections; clients reconnect to another one
+        if (isShuttingDown()) {
+            return next(new Error('Server is shutting down'));
+        }
+        const credential = socket.handshake.auth?.token || extractCredential(socket.handshake.headers);
+        const user = authenticateCredential(credential);
+        if (!user) {
+            return next(new Error('Unauthorized'));
+        }
+        socket.data.user = user;
+        next();
+    });
+
     io.on('connection', (socket) => {
-        console.log(`User connected: ${socket.id}`);
+        logger.info('Socket connected', { socketId: socket.id, userId: socket.data.user.id });
+        activeSocketConnections.inc();
+        const { user } = socket.data;
+        const clientIp = proxyaddr(socket.request, trustProxy);
         
         let userSessionId = null;
 
+        // Handle every event under its own correlation ID, carried through retrieval, generation and storage
+        const on = (event, handler) => socket.on(event, (...args) => trackHandler(withCorrelationId(null, () => handler(...args))));
+
+        // `error` events carry the same code, message and details as REST error responses
+        const emitError = (code, message, details = null) => socket.emit('error', { code, message, details });
+
+        // Validate an event payload; emits a VALIDATION_ERROR and returns null when it is invalid
+        const validatePayload = (schema, data) => {
+            const { value, error } = validateSchema(schema, data);
+            if (error) {
+                emitError('VALIDATION_ERROR', error.message, error.details);
+                return null;
+            }
+            return value ?? {};
+        };
+
         // Handle join session
-        socket.on('join-session', async (data) => {
+        on('join-session', async (data) => {
             try {
-                const { sessionId } = data;
+                const payload = validatePayload(joinSessionEventSchema, data);
+                if (!payload) {
+                    return;
+                }
+                const { sessionId } = payload;
                 
                 if (sessionId) {
+                    if (!(await authorizeSession(user, sessionId))) {
+                        emitError('FORBIDDEN', 'Access to this session is denied');
+                        return;
+                    }
                     userSessionId = sessionId;
                     // Refresh session TTL
                     await refreshSession(sessionId);
                 } else {
-                    // Create new session
-                    userSessionId = createSession();
+                    // Create new session owned by this user
+                    userSessionId = await createSession(user.id);
                 }
 
                 socket.join(userSessionId);
@@ -49,32 +127,71 @@ export const initializeSocketIO = (server) => {
                     socket.emit('session-history', { history });
                 }
 
-                console.log(`User ${socket.id} joined session: ${userSessionId}`);
+                logger.info('Socket joined session', { socketId: socket.id, sessionId: userSessionId });
             } catch (error) {
-                console.error('Error joining session:', error);
-                socket.emit('error', { message: 'Failed to join session' });
+                logger.error('Error joining session', { error });
+                emitError('INTERNAL_ERROR', 'Failed to join session');
             }
         });
 
         // Handle chat messages
-        socket.on('chat-message', async (data) => {
+        on('chat-message', async (data) => {
+            let messageId = null;
+            let signal = null;
+
             try {
-                const { query, streaming = true } = data;
+                const payload = validatePayload(chatMessageEventSchema, data);
+                if (!payload) {
+                    return;
+                }
+                const { query, streaming, cache } = payload;
 
-                if (!query) {
-                    socket.emit('error', { message: 'Query is required' });
+                // Answers already in flight may finish, but no new ones start while draining
+                if (isShuttingDown()) {
+                    emitError('SHUTTING_DOWN', 'Server is shutting down, please reconnect and try again');
                     return;
                 }
 
                 if (!userSessionId) {
-                    socket.emit('error', { message: 'No active session. Please join a session first.' });
+                    emitError('NO_ACTIVE_SESSION', 'No active session. Please join a session first.');
+                    return;
+                }
+
+                // Optional retrieval mode and metadata filters, same shape as the REST chat API
+                const retrieval = toRetrievalOptions(payload);
+
+                const { options: promptOptions, error: promptError } = parsePromptOptions(payload);
+                if (promptError) {
+                    emitError('VALIDATION_ERROR', promptError);
                     return;
                 }
 
+                // Same Redis counters and daily quota as the REST chat routes
+                const limited = await consumeRateLimit('chat', {
+                    ip: clientIp,
+                    session: userSessionId,
+                    user: user.id
+                }) || await consumeDailyQuota(user.id);
+                if (limited) {
+                    logger.warn('Chat message rate limited', { sessionId: userSessionId, limit: limited.limit });
+                    socket.emit('rate-limited', { event: 'chat-message', ...limited });
+                    return;
+                }
+
+                // The message ID is announced with the typing indicator so the client can cancel before the first chunk
+                messageId = uuidv4();
+                signal = startGeneration(messageId, socket.id);
+
+                chatRequests.inc({ transport: 'socket' });
+                logger.info('Chat message received', { sessionId: userSessionId, messageId, query: redact(query), streaming });
+
                 // Emit typing indicator
-                socket.emit('bot-typing', { typing: true });
+                socket.emit('bot-typing', { typing: true, messageId });
 
-                const messageId = Date.now().toString();
+                // Recent turns let follow-up questions be rewritten into standalone retrieval queries
+                const history = await getSessionHistory(userSessionId);
+                let standaloneQuery = query;
+                const onRetrieved = (articles, { retrievalQuery }) => { standaloneQuery = retrievalQuery; };
 
                 if (streaming) {
                     // Generate streaming response
@@ -87,6 +204,7 @@ export const initializeSocketIO = (server) => {
                                 socket.streamingStarted = true;
                                 socket.emit('chat-response-start', {
                                     messageId,
+                                    standaloneQuery,
                                     timestamp: Date.now()
                                 });
                             }
@@ -97,35 +215,89 @@ export const initializeSocketIO = (server) => {
                             });
                         },
                         // onComplete callback
-                        async (fullResponse) => {
+                        async ({ answer, sources, retrieved, timings, provider, model, prompt, cached }) => {
                             try {
                                 socket.streamingStarted = false;
                                 
                                 // Store complete message in session
-                                const message = await storeMessage(userSessionId, query, fullResponse);
+                                const message = await storeMessage(userSessionId, query, answer, {
+                                    id: messageId, sources, retrieved, timings, provider, model, prompt, cached
+                                });
+
+                                // Cited sources follow the streamed text so clients can render citation links
+                                socket.emit('chat-response-sources', {
+                                    messageId,
+                                    sources
+                                });
 
                                 // Complete streaming
                                 socket.emit('chat-response-complete', {
                                     messageId,
                                     userQuery: query,
+                                    standaloneQuery,
+                                    botResponse: answer,
+                                    provider,
+                                    model,
+                                    prompt,
+                                    cached,
                                     timestamp: message.timestamp
                                 });
 
-                                console.log(`Streaming chat response completed for session: ${userSessionId}`);
+                                logger.info('Streaming chat response completed', { sessionId: userSessionId, messageId });
                             } catch (error) {
-                                console.error('Error completing streaming response:', error);
-                                socket.emit('error', { 
-                                    message: 'Failed to complete response. Please try again.' 
+                                logger.error('Error completing streaming response', { error });
+                                emitError('INTERNAL_ERROR', 'Failed to complete response. Please try again.');
+                            }
+                        },
+                        {
+                            retrieval,
+                            history,
+                            prompt: promptOptions,
+                            onRetrieved,
+                            signal,
+                            cache,
+                            // onCancelled callback: keep or drop the partial answer per CANCELLED_ANSWER_POLICY
+                            onCancelled: async (partial) => {
+                                socket.streamingStarted = false;
+                                socket.emit('bot-typing', { typing: false });
+
+                                // A disconnected socket's session has already been saved and cleared
+                                let stored = false;
+                                if (socket.connected && shouldStoreCancelledAnswer(partial)) {
+                                    const { answer, sources, retrieved, timings, provider, model, prompt } = partial;
+                                    await storeMessage(userSessionId, query, answer, {
+                                        id: messageId, sources, retrieved, timings, provider, model, prompt, truncated: true
+                                    });
+                                    stored = true;
+                                }
+
+                                socket.emit('chat-response-cancelled', {
+                                    messageId,
+                                    partialResponse: partial.answer,
+                                    sources: partial.sources,
+                                    truncated: true,
+                                    stored
                                 });
+
+                                logger.info('Streaming chat response cancelled', { sessionId: userSessionId, messageId });
                             }
                         }
                     );
                 } else {
                     // Non-streaming response (fallback)
-                    const botResponse = await generateAnswer(query);
+                    const { answer: botResponse, sources, retrieved, timings, provider, model, prompt, cached } = await generateAnswer(query, {
+                        retrieval,
+                        history,
+                        prompt: promptOptions,
+                        onRetrieved,
+                        signal,
+                        cache
+                    });
                     
                     // Store message in session
-                    const message = await storeMessage(userSessionId, query, botResponse);
+                    const message = await storeMessage(userSessionId, query, botResponse, {
+                        id: messageId, sources, retrieved, timings, provider, model, prompt, cached
+                    });
 
                     // Stop typing indicator
                     socket.emit('bot-typing', { typing: false });
@@ -134,47 +306,84 @@ export const initializeSocketIO = (server) => {
                     socket.emit('chat-response', {
                         messageId: message.id,
                         userQuery: query,
+                        standaloneQuery,
                         botResponse,
+                        sources,
+                        provider,
+                        model,
+                        prompt,
+                        cached,
                         timestamp: message.timestamp
                     });
 
-                    console.log(`Chat response sent to session: ${userSessionId}`);
+                    logger.info('Chat response sent', { sessionId: userSessionId, messageId });
                 }
             } catch (error) {
-                console.error('Error handling chat message:', error);
                 socket.emit('bot-typing', { typing: false });
-                socket.emit('error', { 
-                    message: 'Failed to generate response. Please try again.' 
-                });
+
+                // A cancelled non-streaming answer has no partial text to keep
+                if (signal?.aborted) {
+                    socket.emit('chat-response-cancelled', { messageId, partialResponse: '', sources: [], truncated: true, stored: false });
+                    return;
+                }
+
+                logger.error('Error handling chat message', { error });
+                if (error instanceof ApiError) {
+                    emitError(error.code, error.message);
+                } else {
+                    emitError('INTERNAL_ERROR', 'Failed to generate response. Please try again.');
+                }
+            } finally {
+                if (messageId) {
+                    finishGeneration(messageId);
+                }
             }
         });
 
+        // Handle cancel generation
+        on('cancel-generation', (data) => {
+            const payload = validatePayload(cancelGenerationEventSchema, data);
+            if (!payload) {
+                return;
+            }
+            const { messageId } = payload;
+
+            // Only this socket's own generations can be cancelled
+            if (!cancelGeneration(messageId, socket.id)) {
+                emitError('NOT_FOUND', 'No generation in progress for this message');
+                return;
+            }
+
+            logger.info('Generation cancelled by client', { socketId: socket.id, messageId });
+        });
+
         // Handle get session history
-        socket.on('get-history', async () => {
+        on('get-history', async () => {
             try {
                 if (!userSessionId) {
-                    socket.emit('error', { message: 'No active session' });
+                    emitError('NO_ACTIVE_SESSION', 'No active session');
                     return;
                 }
 
                 const history = await getSessionHistory(userSessionId);
                 socket.emit('session-history', { history });
             } catch (error) {
-                console.error('Error getting session history:', error);
-                socket.emit('error', { message: 'Failed to retrieve session history' });
+                logger.error('Error getting session history', { error });
+                emitError('INTERNAL_ERROR', 'Failed to retrieve session history');
             }
         });
 
         // Handle clear session with transcript persistence
-        socket.on('clear-session', async () => {
+        on('clear-session', async () => {
             try {
                 if (!userSessionId) {
-                    socket.emit('error', { message: 'No active session' });
+                    emitError('NO_ACTIVE_SESSION', 'No active session');
                     return;
                 }
 
-                // Get session history before clearing
+                // Get session history and owner before clearing
                 const history = await getSessionHistory(userSessionId);
+                const ownerId = await getSessionOwner(userSessionId);
                 
                 let transcriptResult = null;
                 
@@ -184,8 +393,7 @@ export const initializeSocketIO = (server) => {
                     const endedAt = new Date();
                     
                     // Save transcript to PostgreSQL
-                    transcriptResult = await saveTranscript(userSessionId, history, startedAt, endedAt);
-                    console.log(`Transcript saved for session: ${userSessionId} (${transcriptResult.messageCount} messages)`);
+                    transcriptResult = await saveTranscript(userSessionId, history, startedAt, endedAt, ownerId);
                 }
 
                 // Clear session from Redis
@@ -209,23 +417,34 @@ export const initializeSocketIO = (server) => {
                 
                 socket.emit('session-cleared', response);
 
-                console.log(`Session cleared: ${userSessionId}${transcriptResult ? ' (transcript saved)' : ''}`);
+                logger.info('Session cleared', { sessionId: userSessionId, transcriptSaved: Boolean(transcriptResult) });
             } catch (error) {
-                console.error('Error clearing session:', error);
-                socket.emit('error', { message: 'Failed to clear session' });
+                logger.error('Error clearing session', { error });
+                emitError('INTERNAL_ERROR', 'Failed to clear session');
             }
         });
 
         // Handle cleanup sessions (when user disconnects/refreshes)
-        socket.on('cleanup-sessions', async (data) => {
+        on('cleanup-sessions', async (data) => {
             try {
-                const { sessions, reason } = data;
-                console.log(`Cleaning up ${sessions.length} sessions for socket ${socket.id}, reason: ${reason}`);
+                const payload = validatePayload(cleanupSessionsEventSchema, data);
+                if (!payload) {
+                    return;
+                }
+                const { sessions, reason } = payload;
+                logger.info('Cleaning up sessions', { socketId: socket.id, sessionCount: sessions.length, reason });
                 
                 for (const sessionId of sessions) {
                     try {
-                        // Get session history before clearing
+                        // The session list comes from the client, so only its own sessions are cleaned up
+                        if (!(await authorizeSession(user, sessionId))) {
+                            logger.warn('Socket may not clean up session, skipping', { socketId: socket.id, sessionId });
+                            continue;
+                        }
+
+                        // Get session history and owner before clearing
                         const history = await getSessionHistory(sessionId);
+                        const ownerId = await getSessionOwner(sessionId);
                         
                         if (history.length > 0) {
                             // Calculate session start time from first message
@@ -233,35 +452,42 @@ export const initializeSocketIO = (server) => {
                             const endedAt = new Date();
                             
                             // Save transcript to PostgreSQL
-                            const transcriptResult = await saveTranscript(sessionId, history, startedAt, endedAt);
-                            console.log(`Transcript auto-saved for session: ${sessionId} (${transcriptResult.messageCount} messages)`);
+                            await saveTranscript(sessionId, history, startedAt, endedAt, ownerId);
                         }
 
                         // Clear session from Redis
                         await clearSession(sessionId);
-                        console.log(`Session auto-cleaned: ${sessionId}`);
+                        logger.info('Session auto-cleaned', { sessionId });
                     } catch (sessionError) {
-                        console.error(`Error cleaning session ${sessionId}:`, sessionError);
+                        logger.error('Error cleaning session', { sessionId, error: sessionError });
                     }
                 }
                 
-                console.log(`Cleanup completed for socket ${socket.id}`);
+                logger.info('Cleanup completed', { socketId: socket.id });
             } catch (error) {
-                console.error('Error during cleanup-sessions:', error);
+                logger.error('Error during cleanup-sessions', { error });
             }
         });
 
         // Handle disconnection
-        socket.on('disconnect', async () => {
-            console.log(`User disconnected: ${socket.id}`);
+        on('disconnect', async () => {
+            logger.info('Socket disconnected', { socketId: socket.id });
+            activeSocketConnections.dec();
+
+            // Nobody is listening any more, so stop paying for retrieval and generation
+            const cancelled = cancelOwnerGenerations(socket.id);
+            if (cancelled > 0) {
+                logger.info('Cancelled in-flight generations on disconnect', { socketId: socket.id, cancelled });
+            }
             
             // Auto-cleanup the user's active session when disconnecting
             if (userSessionId) {
                 try {
-                    console.log(`Auto-cleaning session on disconnect: ${userSessionId}`);
+                    logger.info('Auto-cleaning session on disconnect', { sessionId: userSessionId });
                     
-                    // Get session history before clearing
+                    // Get session history and owner before clearing
                     const history = await getSessionHistory(userSessionId);
+                    const ownerId = await getSessionOwner(userSessionId);
                     
                     if (history.length > 0) {
                         // Calculate session start time from first message
@@ -269,15 +495,14 @@ export const initializeSocketIO = (server) => {
                         const endedAt = new Date();
                         
                         // Save transcript to PostgreSQL
-                        const transcriptResult = await saveTranscript(userSessionId, history, startedAt, endedAt);
-                        console.log(`Transcript auto-saved on disconnect: ${userSessionId} (${transcriptResult.messageCount} messages)`);
+                        await saveTranscript(userSessionId, history, startedAt, endedAt, ownerId);
                     }
 
                     // Clear session from Redis
                     await clearSession(userSessionId);
-                    console.log(`Session auto-cleaned on disconnect: ${userSessionId}`);
+                    logger.info('Session auto-cleaned on disconnect', { sessionId: userSessionId });
                 } catch (error) {
-                    console.error(`Error auto-cleaning session ${userSessionId} on disconnect:`, error);
+                    logger.error('Error auto-cleaning session on disconnect', { sessionId: userSessionId, error });
                 }
                 
                 socket.leave(userSessionId);
@@ -291,6 +516,24 @@ export const initializeSocketIO = (server) => {
         });
     });
 
-    console.log('Socket.IO server initialized');
+    logger.info('Socket.IO server initialized');
     return io;
-};
\ No newline at end of file
+};
+
+/**
+ * Close every socket connection during a graceful shutdown. Handlers still storing answers are
+ * given time to finish, then each socket is disconnected, which saves its session as a transcript.
+ * @param {Server} io - Socket.IO server
+ * @param {number} timeoutMs - Longest time to wait for handlers in each phase
+ */
+export const closeSocketIO = async (io, timeoutMs) => {
+    const settle = () => Promise.race([Promise.allSettled([...pendingHandlers]), sleep(timeoutMs)]);
+
+    await settle();
+
+    const socketCount = io.of('/').sockets.size;
+    io.disconnectSockets(true);
+    await settle();
+
+    logger.info('Socket connections closed', { socketCount, unfinishedHandlers: pendingHandlers.size });
+};
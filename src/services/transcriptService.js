@@ -1,20 +1,62 @@
 import pgPool from '../utils/pgClient.js';
 import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import { transcriptsSaved } from '../utils/metrics.js';
+
+// Milliseconds timestamp to Date, or null when missing
+const toDate = (timestamp) => (timestamp ? new Date(timestamp) : null);
 
 /**
- * Save final chat transcript to PostgreSQL when session ends
+ * Flatten session messages (one per question/answer turn) into chat_messages rows, a user row and
+ * an assistant row per turn
+ * @param {Array} messages - Session messages in chronological order
+ * @returns {Array} Rows in position order
+ */
+const toMessageRows = (messages) => messages.flatMap(msg => {
+    const timings = msg.timings || null;
+    const answeredAt = toDate(msg.timestamp);
+    // Session messages are stored once answered; the question came in when the answer started
+    const askedAt = answeredAt && timings?.totalMs != null
+        ? new Date(answeredAt.getTime() - timings.totalMs)
+        : answeredAt;
+
+    const turn = {
+        messageId: msg.id || null,
+        correlationId: msg.correlationId || null
+    };
+
+    return [
+        { ...turn, role: 'user', content: msg.userQuery || '', createdAt: askedAt },
+        {
+            ...turn,
+            role: 'assistant',
+            content: msg.botResponse || '',
+            createdAt: answeredAt,
+            sources: msg.sources || [],
+            retrieved: msg.retrieved || [],
+            latencyMs: timings?.totalMs ?? null,
+            timings,
+            provider: msg.provider || null,
+            model: msg.model || null,
+            prompt: msg.prompt || null,
+            truncated: Boolean(msg.truncated),
+            cached: Boolean(msg.cached)
+        }
+    ];
+});
+
+/**
+ * Save final chat transcript to PostgreSQL when session ends: a chat_sessions row with the session
+ * statistics and one chat_messages row per user question and assistant answer
  * @param {string} sessionId - Unique session identifier
  * @param {Array} messages - Array of chat messages from session history
  * @param {Date} startedAt - Session start timestamp
  * @param {Date} endedAt - Session end timestamp
+ * @param {string} [ownerId] - Principal the session belonged to
  * @returns {Object} Saved transcript information
  */
-export const saveTranscript = async (sessionId, messages, startedAt = null, endedAt = new Date()) => {
+export const saveTranscript = async (sessionId, messages, startedAt = null, endedAt = new Date(), ownerId = null) => {
     try {
-        // Extract user messages and bot responses
-        const userMessages = messages.map(msg => msg.userQuery);
-        const botResponses = messages.map(msg => msg.botResponse);
-        
         // Calculate session statistics
         const messageCount = messages.length;
         const totalCharacters = messages.reduce((total, msg) => 
@@ -26,30 +68,66 @@ export const saveTranscript = async (sessionId, messages, startedAt = null, ende
         const durationSeconds = Math.floor((endedAt.getTime() - sessionStartTime.getTime()) / 1000);
 
         const transcriptId = uuidv4();
+        const rows = toMessageRows(messages);
         
+        // One statement, so the session and its messages are saved together or not at all.
+        // JSON columns travel as one JSON string per row, like the keyword index's categories.
         const insertQuery = `
-            INSERT INTO chat_sessions (
-                id, session_id, user_messages, bot_responses, message_count,
-                started_at, ended_at, duration_seconds, total_characters
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-            RETURNING *;
+            WITH session AS (
+                INSERT INTO chat_sessions (
+                    id, session_id, message_count, started_at, ended_at, duration_seconds, total_characters, owner_id
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING id
+            )
+            INSERT INTO chat_messages (
+                id, transcript_id, position, message_id, role, content, created_at, sources, retrieved_sources,
+                latency_ms, timings, provider, model, prompt_id, prompt_version, truncated, cached, correlation_id
+            )
+            SELECT
+                t.id, session.id, t.position - 1, t.message_id, t.role, t.content, t.created_at,
+                t.sources::jsonb, t.retrieved_sources::jsonb, t.latency_ms, t.timings::jsonb, t.provider, t.model,
+                t.prompt_id, t.prompt_version, t.truncated, t.cached, t.correlation_id
+            FROM session, UNNEST(
+                $9::uuid[], $10::text[], $11::text[], $12::text[], $13::timestamptz[], $14::text[], $15::text[],
+                $16::int[], $17::text[], $18::text[], $19::text[], $20::text[], $21::int[], $22::boolean[],
+                $23::boolean[], $24::text[]
+            ) WITH ORDINALITY AS t(
+                id, message_id, role, content, created_at, sources, retrieved_sources, latency_ms, timings,
+                provider, model, prompt_id, prompt_version, truncated, cached, correlation_id, position
+            );
         `;
         
         const values = [
             transcriptId,
             sessionId,
-            userMessages,
-            botResponses,
             messageCount,
             sessionStartTime,
             endedAt,
             durationSeconds,
-            totalCharacters
+            totalCharacters,
+            ownerId,
+            rows.map(() => uuidv4()),
+            rows.map(row => row.messageId),
+            rows.map(row => row.role),
+            rows.map(row => row.content),
+            rows.map(row => row.createdAt),
+            rows.map(row => JSON.stringify(row.sources || [])),
+            rows.map(row => JSON.stringify(row.retrieved || [])),
+            rows.map(row => row.latencyMs ?? null),
+            rows.map(row => (row.timings ? JSON.stringify(row.timings) : null)),
+            rows.map(row => row.provider || null),
+            rows.map(row => row.model || null),
+            rows.map(row => row.prompt?.id || null),
+            rows.map(row => row.prompt?.version ?? null),
+            rows.map(row => Boolean(row.truncated)),
+            rows.map(row => Boolean(row.cached)),
+            rows.map(row => row.correlationId)
         ];
         
-        const result = await pgPool.query(insertQuery, values);
+        await pgPool.query(insertQuery, values);
         
-        console.log(`✓ Transcript saved for session: ${sessionId} (${messageCount} messages)`);
+        transcriptsSaved.inc();
+        logger.info('Transcript saved', { sessionId, transcriptId, messageCount });
         
         return {
             success: true,
@@ -62,7 +140,7 @@ export const saveTranscript = async (sessionId, messages, startedAt = null, ende
         };
         
     } catch (error) {
-        console.error('Error saving transcript:', error);
+        logger.error('Error saving transcript', { error });
         throw error;
     }
 };
@@ -70,7 +148,7 @@ export const saveTranscript = async (sessionId, messages, startedAt = null, ende
 /**
  * Retrieve a saved transcript by session ID
  * @param {string} sessionId - Session identifier
- * @returns {Object|null} Transcript data or null if not found
+ * @returns {Object|null} Transcript data with its `messages` in conversation order, or null if not found
  */
 export const getTranscript = async (sessionId) => {
     try {
@@ -88,22 +166,46 @@ export const getTranscript = async (sessionId) => {
         }
         
         const transcript = result.rows[0];
+
+        const messagesQuery = `
+            SELECT * FROM chat_messages
+            WHERE transcript_id = $1
+            ORDER BY position;
+        `;
+
+        const messages = await pgPool.query(messagesQuery, [transcript.id]);
         
         return {
             id: transcript.id,
             sessionId: transcript.session_id,
-            userMessages: transcript.user_messages,
-            botResponses: transcript.bot_responses,
+            ownerId: transcript.owner_id,
             messageCount: transcript.message_count,
             startedAt: transcript.started_at,
             endedAt: transcript.ended_at,
             durationSeconds: transcript.duration_seconds,
             totalCharacters: transcript.total_characters,
-            createdAt: transcript.created_at
+            createdAt: transcript.created_at,
+            messages: messages.rows.map(row => ({
+                id: row.id,
+                messageId: row.message_id,
+                role: row.role,
+                content: row.content,
+                timestamp: row.created_at,
+                sources: row.sources,
+                retrieved: row.retrieved_sources,
+                latencyMs: row.latency_ms,
+                timings: row.timings,
+                provider: row.provider,
+                model: row.model,
+                prompt: row.prompt_id ? { id: row.prompt_id, version: row.prompt_version } : null,
+                truncated: row.truncated,
+                cached: row.cached,
+                correlationId: row.correlation_id
+            }))
         };
         
     } catch (error) {
-        console.error('Error retrieving transcript:', error);
+        logger.error('Error retrieving transcript', { error });
         throw error;
     }
 };
@@ -139,7 +241,124 @@ export const getAllTranscripts = async (limit = 50, offset = 0) => {
         }));
         
     } catch (error) {
-        console.error('Error retrieving transcripts:', error);
+        logger.error('Error retrieving transcripts', { error });
+        throw error;
+    }
+};
+
+// Matching messages highlighted per transcript in search results, and the ts_headline options.
+// Matches are wrapped in control characters first so the message text can be HTML-escaped
+// before they become <mark> tags.
+const SEARCH_SNIPPETS_PER_TRANSCRIPT = 3;
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape a ts_headline snippet and turn its highlight markers into <mark> tags
+const toHighlightedSnippet = (headline) => headline
+    .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+    .replaceAll(HIGHLIGHT_START, '<mark>')
+    .replaceAll(HIGHLIGHT_STOP, '</mark>');
+
+/**
+ * Full-text search over the user questions and assistant answers of saved transcripts
+ * @param {string} query - Search text (web search syntax: quotes, OR, -exclusions)
+ * @param {Object} [options]
+ * @param {number} [options.endedAfter] - Only sessions that ended at or after this timestamp (ms)
+ * @param {number} [options.endedBefore] - Only sessions that ended at or before this timestamp (ms)
+ * @param {number} [options.minMessages] - Only sessions with at least this many messages
+ * @param {number} [options.limit] - Number of transcripts to return
+ * @param {number} [options.offset] - Number of transcripts to skip
+ * @returns {Array} Transcript summaries, best match first, each with `rank`, `matchCount` and up to
+ *   SEARCH_SNIPPETS_PER_TRANSCRIPT `snippets` highlighting the best matching messages
+ */
+export const searchTranscripts = async (query, { endedAfter, endedBefore, minMessages, limit = 50, offset = 0 } = {}) => {
+    try {
+        const values = [query];
+        const conditions = ['m.search_vector @@ query'];
+        const addValue = (value) => {
+            values.push(value);
+            return `$${values.length}`;
+        };
+
+        if (endedAfter !== undefined) {
+            conditions.push(`s.ended_at >= ${addValue(new Date(endedAfter))}`);
+        }
+        if (endedBefore !== undefined) {
+            conditions.push(`s.ended_at <= ${addValue(new Date(endedBefore))}`);
+        }
+        if (minMessages !== undefined) {
+            conditions.push(`s.message_count >= ${addValue(minMessages)}`);
+        }
+
+        // Transcripts rank by the summed rank of their matching messages; snippets are only
+        // generated for the page being returned
+        const searchQuery = `
+            WITH matches AS (
+                SELECT m.transcript_id, m.id, m.position, m.role, m.content, m.created_at,
+                       ts_rank_cd(m.search_vector, query) AS rank
+                FROM chat_messages m
+                JOIN chat_sessions s ON s.id = m.transcript_id,
+                     websearch_to_tsquery('english', $1) AS query
+                WHERE ${conditions.join(' AND ')}
+            ),
+            ranked AS (
+                SELECT transcript_id, SUM(rank) AS rank, COUNT(*) AS match_count
+                FROM matches
+                GROUP BY transcript_id
+                ORDER BY rank DESC, transcript_id
+                LIMIT ${addValue(limit)} OFFSET ${addValue(offset)}
+            )
+            SELECT
+                s.id, s.session_id, s.message_count, s.started_at, s.ended_at,
+                s.duration_seconds, s.total_characters, s.created_at,
+                r.rank, r.match_count, snippets.snippets
+            FROM ranked r
+            JOIN chat_sessions s ON s.id = r.transcript_id
+            CROSS JOIN LATERAL (
+                SELECT json_agg(json_build_object(
+                    'id', best.id,
+                    'position', best.position,
+                    'role', best.role,
+                    'timestamp', best.created_at,
+                    'headline', ts_headline('english', best.content, websearch_to_tsquery('english', $1), ${addValue(HEADLINE_OPTIONS)})
+                ) ORDER BY best.rank DESC, best.position) AS snippets
+                FROM (
+                    SELECT * FROM matches
+                    WHERE matches.transcript_id = r.transcript_id
+                    ORDER BY rank DESC, position
+                    LIMIT ${SEARCH_SNIPPETS_PER_TRANSCRIPT}
+                ) best
+            ) snippets
+            ORDER BY r.rank DESC, r.transcript_id;
+        `;
+
+        const result = await pgPool.query(searchQuery, values);
+
+        return result.rows.map(row => ({
+            id: row.id,
+            sessionId: row.session_id,
+            messageCount: row.message_count,
+            startedAt: row.started_at,
+            endedAt: row.ended_at,
+            durationSeconds: row.duration_seconds,
+            totalCharacters: row.total_characters,
+            createdAt: row.created_at,
+            rank: parseFloat(row.rank),
+            matchCount: parseInt(row.match_count),
+            snippets: row.snippets.map(snippet => ({
+                id: snippet.id,
+                position: snippet.position,
+                role: snippet.role,
+                timestamp: toDate(snippet.timestamp),
+                snippet: toHighlightedSnippet(snippet.headline)
+            }))
+        }));
+
+    } catch (error) {
+        logger.error('Error searching transcripts', { error });
         throw error;
     }
 };
@@ -161,8 +380,18 @@ export const getTranscriptStats = async () => {
             FROM chat_sessions;
         `;
         
+        // Answers per prompt template version
+        const promptUsageQuery = `
+            SELECT prompt_id, prompt_version, COUNT(*) AS message_count
+            FROM chat_messages
+            WHERE role = 'assistant' AND prompt_id IS NOT NULL
+            GROUP BY prompt_id, prompt_version
+            ORDER BY prompt_id, prompt_version;
+        `;
+        
         const result = await pgPool.query(statsQuery);
         const stats = result.rows[0];
+        const promptUsage = await pgPool.query(promptUsageQuery);
         
         return {
             totalSessions: parseInt(stats.total_sessions),
@@ -170,11 +399,16 @@ export const getTranscriptStats = async () => {
             totalCharacters: parseInt(stats.total_characters || 0),
             avgDurationSeconds: parseFloat(stats.avg_duration_seconds || 0),
             avgMessagesPerSession: parseFloat(stats.avg_messages_per_session || 0),
-            lastSessionDate: stats.last_session_date
+            lastSessionDate: stats.last_session_date,
+            promptUsage: promptUsage.rows.map(row => ({
+                id: row.prompt_id,
+                version: row.prompt_version,
+                messageCount: parseInt(row.message_count)
+            }))
         };
         
     } catch (error) {
-        console.error('Error retrieving transcript stats:', error);
+        logger.error('Error retrieving transcript stats', { error });
         throw error;
     }
 };
@@ -194,12 +428,12 @@ export const cleanupOldTranscripts = async (daysOld = 90) => {
         
         const result = await pgPool.query(deleteQuery);
         
-        console.log(`✓ Cleaned up ${result.rows.length} transcripts older than ${daysOld} days`);
+        logger.info('Cleaned up old transcripts', { count: result.rows.length, daysOld });
         
         return result.rows.length;
         
     } catch (error) {
-        console.error('Error cleaning up old transcripts:', error);
+        logger.error('Error cleaning up old transcripts', { error });
         throw error;
     }
 };
\ No newline at end of file
@@ -0,0 +1,102 @@
+import { jest } from '@jest/globals';
+
+const query = jest.fn();
+jest.unstable_mockModule('../utils/pgClient.js', () => ({ default: { query } }));
+
+const { searchTranscripts } = await import('./transcriptService.js');
+
+const row = (overrides = {}) => ({
+    id: 't1',
+    session_id: 's1',
+    message_count: 4,
+    started_at: new Date('2026-01-01T10:00:00Z'),
+    ended_at: new Date('2026-01-01T10:05:00Z'),
+    duration_seconds: 300,
+    total_characters: 1200,
+    created_at: new Date('2026-01-01T10:05:01Z'),
+    rank: '0.35',
+    match_count: '2',
+    snippets: [],
+    ...overrides
+});
+
+beforeEach(() => {
+    query.mockReset();
+    query.mockResolvedValue({ rows: [] });
+});
+
+describe('searchTranscripts', () => {
+    test('binds the query and only the filters that were given', async () => {
+        await searchTranscripts('monsoon -flood', { limit: 10, offset: 20 });
+
+        const [sql, values] = query.mock.calls[0];
+        expect(values[0]).toBe('monsoon -flood');
+        expect(values.slice(1, 3)).toEqual([10, 20]);
+        expect(sql).toContain("websearch_to_tsquery('english', $1)");
+        expect(sql).toContain('WHERE m.search_vector @@ query\n');
+        expect(sql).toContain('LIMIT $2 OFFSET $3');
+        expect(sql).not.toContain('s.ended_at >=');
+        expect(sql).not.toContain('s.message_count >=');
+    });
+
+    test('adds the date range and message count filters as parameters', async () => {
+        const endedAfter = Date.parse('2026-01-01T00:00:00Z');
+        const endedBefore = Date.parse('2026-02-01T00:00:00Z');
+
+        await searchTranscripts('monsoon', { endedAfter, endedBefore, minMessages: 3 });
+
+        const [sql, values] = query.mock.calls[0];
+        expect(sql).toContain('m.search_vector @@ query AND s.ended_at >= $2 AND s.ended_at <= $3 AND s.message_count >= $4');
+        expect(values.slice(1, 6)).toEqual([new Date(endedAfter), new Date(endedBefore), 3, 50, 0]);
+    });
+
+    test('maps rows to transcript summaries with numeric rank and match count', async () => {
+        query.mockResolvedValue({ rows: [row()] });
+
+        const [transcript] = await searchTranscripts('monsoon');
+
+        expect(transcript).toEqual({
+            id: 't1',
+            sessionId: 's1',
+            messageCount: 4,
+            startedAt: new Date('2026-01-01T10:00:00Z'),
+            endedAt: new Date('2026-01-01T10:05:00Z'),
+            durationSeconds: 300,
+            totalCharacters: 1200,
+            createdAt: new Date('2026-01-01T10:05:01Z'),
+            rank: 0.35,
+            matchCount: 2,
+            snippets: []
+        });
+    });
+
+    test('escapes snippet HTML and marks the matched terms', async () => {
+        query.mockResolvedValue({
+            rows: [row({
+                snippets: [{
+                    id: 'm2',
+                    position: 1,
+                    role: 'assistant',
+                    timestamp: '2026-01-01T10:01:00Z',
+                    headline: 'The <b>\u0002monsoon\u0003</b> & "rains" \u0002arrived\u0003'
+                }]
+            })]
+        });
+
+        const [{ snippets }] = await searchTranscripts('monsoon arrived');
+
+        expect(snippets).toEqual([{
+            id: 'm2',
+            position: 1,
+            role: 'assistant',
+            timestamp: new Date('2026-01-01T10:01:00Z'),
+            snippet: 'The &lt;b&gt;<mark>monsoon</mark>&lt;/b&gt; &amp; &quot;rains&quot; <mark>arrived</mark>'
+        }]);
+    });
+
+    test('rethrows database errors', async () => {
+        query.mockRejectedValue(new Error('syntax error in tsquery'));
+
+        await expect(searchTranscripts('monsoon')).rejects.toThrow('syntax error in tsquery');
+    });
+});
@@ -0,0 +1,104 @@
+import dotenv from 'dotenv';
+import axios from 'axios';
+import logger from './logger.js';
+
+dotenv.config();
+
+const ARTICLE_FETCH_TIMEOUT_MS = parseInt(process.env.ARTICLE_FETCH_TIMEOUT_MS) || 10000;
+const MAX_ARTICLE_BYTES = 5 * 1024 * 1024;
+const MIN_PARAGRAPH_LENGTH = 40; // shorter <p> blocks are usually bylines, captions or UI text
+const MIN_BODY_LENGTH = 200;
+
+// Elements that never contain the article body
+const BOILERPLATE_TAGS = ['script', 'style', 'noscript', 'svg', 'iframe', 'nav', 'header', 'footer', 'aside', 'form', 'figure', 'button'];
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  rsquo: '’',
+  lsquo: '‘',
+  rdquo: '”',
+  ldquo: '“',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…'
+};
+
+// Decode the HTML entities that commonly appear in article text
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(codePoint) ? String.fromCodePoint(codePoint) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Strip tags and collapse whitespace
+function toPlainText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Pull the main body text out of an article page.
+// Prefers the largest <article> element, then paragraph text, then all visible text.
+export function extractMainText(html) {
+  if (!html) {
+    return '';
+  }
+  
+  let body = html.replace(/<!--[\s\S]*?-->/g, ' ');
+  for (const tag of BOILERPLATE_TAGS) {
+    body = body.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ');
+  }
+  
+  const articles = body.match(/<article\b[\s\S]*?<\/article>/gi) || [];
+  const scope = articles.sort((a, b) => b.length - a.length)[0] || body;
+  
+  const paragraphs = [...scope.matchAll(/<p\b[^>]*>([\s\S]*?)<\/p>/gi)]
+    .map(match => toPlainText(match[1]))
+    .filter(paragraph => paragraph.length >= MIN_PARAGRAPH_LENGTH);
+  
+  const paragraphText = paragraphs.join('\n\n');
+  if (paragraphText.length >= MIN_BODY_LENGTH) {
+    return paragraphText;
+  }
+  
+  const bodyMatch = scope.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+  return toPlainText(bodyMatch ? bodyMatch[1] : scope);
+}
+
+// Fetch an article page and return its main body text, or null if it could not be extracted
+export async function fetchArticleText(url) {
+  try {
+    const response = await axios.get(url, {
+      timeout: ARTICLE_FETCH_TIMEOUT_MS,
+      maxContentLength: MAX_ARTICLE_BYTES,
+      responseType: 'text',
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; VooshRAGBot/1.0)',
+        'Accept': 'text/html,application/xhtml+xml'
+      }
+    });
+    
+    const contentType = response.headers['content-type'] || '';
+    if (contentType && !contentType.includes('html')) {
+      logger.debug('Skipping non-HTML article', { url, contentType });
+      return null;
+    }
+    
+    const text = extractMainText(response.data);
+    return text.length >= MIN_BODY_LENGTH ? text : null;
+  } catch (error) {
+    logger.error('Error fetching article', { url, error });
+    return null;
+  }
+}
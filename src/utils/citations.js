@@ -0,0 +1,76 @@
+import { toTimestamp } from './dateUtils.js';
+
+// Citation markers look like [2] or [1, 3]
+const MARKER_PATTERN = /\s?\[(\d+(?:\s*,\s*\d+)*)\]/g;
+// A marker that may still be arriving at the end of a streamed chunk, e.g. "[1, "
+const PARTIAL_MARKER_PATTERN = /\s?\[[\d,\s]*$/;
+const MAX_PARTIAL_MARKER_LENGTH = 16;
+
+// Drop marker numbers that do not point at one of the `sourceCount` sources, and markers left empty
+export function sanitizeCitations(text, sourceCount) {
+  return text.replace(MARKER_PATTERN, (match, numbers) => {
+    const valid = [...new Set(
+      numbers.split(',')
+        .map(number => parseInt(number.trim(), 10))
+        .filter(number => number >= 1 && number <= sourceCount)
+    )];
+    
+    if (valid.length === 0) {
+      return '';
+    }
+    
+    const leadingSpace = /^\s/.test(match) ? match[0] : '';
+    return `${leadingSpace}[${valid.join(', ')}]`;
+  });
+}
+
+// Sanitize citations in a streamed answer. Text that might be the start of a marker is held
+// back until the next chunk so a marker split across chunks is still checked as a whole.
+export function createCitationFilter(sourceCount) {
+  let pending = '';
+  
+  return {
+    push(text) {
+      pending += text;
+      const partial = pending.match(PARTIAL_MARKER_PATTERN);
+      const cut = partial && partial[0].length <= MAX_PARTIAL_MARKER_LENGTH ? partial.index : pending.length;
+      const ready = sanitizeCitations(pending.slice(0, cut), sourceCount);
+      pending = pending.slice(cut);
+      return ready;
+    },
+    flush() {
+      const rest = sanitizeCitations(pending, sourceCount);
+      pending = '';
+      return rest;
+    }
+  };
+}
+
+// Build the sources list for the articles an answer actually cites, in order of first citation.
+// Each source's `id` is the marker number used in the answer.
+export function collectCitedSources(answer, articles) {
+  const cited = [];
+  
+  for (const match of answer.matchAll(MARKER_PATTERN)) {
+    for (const number of match[1].split(',').map(value => parseInt(value.trim(), 10))) {
+      if (number >= 1 && number <= articles.length && !cited.includes(number)) {
+        cited.push(number);
+      }
+    }
+  }
+  
+  return cited.map(number => {
+    const article = articles[number - 1];
+    const timestamp = toTimestamp(article.metadata.pubDate);
+    
+    return {
+      id: number,
+      articleId: article.id,
+      title: article.metadata.title || '',
+      link: article.metadata.link || '',
+      source: article.metadata.source || '',
+      pubDate: timestamp !== null ? new Date(timestamp).toISOString() : (article.metadata.pubDateText || null),
+      score: article.score
+    };
+  });
+}
@@ -0,0 +1,74 @@
+import { sanitizeCitations, createCitationFilter, collectCitedSources } from './citations.js';
+
+const article = (id, metadata = {}) => ({ id, score: 0.5, metadata: { title: `Title ${id}`, link: `https://example.com/${id}`, source: 'Example', ...metadata } });
+
+describe('sanitizeCitations', () => {
+  test('keeps markers that point at a source', () => {
+    expect(sanitizeCitations('Rates rose [1] and fell [2, 3].', 3)).toBe('Rates rose [1] and fell [2, 3].');
+  });
+
+  test('drops out-of-range numbers and duplicate numbers', () => {
+    expect(sanitizeCitations('Rates rose [1, 4, 1].', 3)).toBe('Rates rose [1].');
+  });
+
+  test('removes markers left empty along with their leading space', () => {
+    expect(sanitizeCitations('Rates rose [0] and fell [7].', 3)).toBe('Rates rose and fell.');
+  });
+
+  test('leaves text without markers unchanged', () => {
+    expect(sanitizeCitations('No sources [here].', 2)).toBe('No sources [here].');
+  });
+});
+
+describe('createCitationFilter', () => {
+  test('checks a marker split across chunks as a whole', () => {
+    const filter = createCitationFilter(2);
+    const output = ['Rates rose [', '1, ', '5]', ' today.'].map(chunk => filter.push(chunk)).join('') + filter.flush();
+    expect(output).toBe('Rates rose [1] today.');
+  });
+
+  test('holds back a possible marker until the next chunk', () => {
+    const filter = createCitationFilter(2);
+    expect(filter.push('Rates rose [')).toBe('Rates rose');
+    expect(filter.push('2] today.')).toBe(' [2] today.');
+    expect(filter.flush()).toBe('');
+  });
+
+  test('releases held-back text that never becomes a marker', () => {
+    const filter = createCitationFilter(2);
+    expect(filter.push('Items [1, 2,')).toBe('Items');
+    expect(filter.flush()).toBe(' [1, 2,');
+  });
+});
+
+describe('collectCitedSources', () => {
+  const articles = [
+    article('a', { pubDate: '2024-05-01T10:00:00Z' }),
+    article('b', { pubDate: 'not a date', pubDateText: 'May 2' }),
+    article('c')
+  ];
+
+  test('lists cited articles in order of first citation, numbered by marker', () => {
+    const sources = collectCitedSources('Second [2]. Both [1, 2]. Out of range [9].', articles);
+
+    expect(sources.map(source => source.id)).toEqual([2, 1]);
+    expect(sources[1]).toEqual({
+      id: 1,
+      articleId: 'a',
+      title: 'Title a',
+      link: 'https://example.com/a',
+      source: 'Example',
+      pubDate: '2024-05-01T10:00:00.000Z',
+      score: 0.5
+    });
+  });
+
+  test('falls back to the raw date text when the date does not parse', () => {
+    expect(collectCitedSources('[2]', articles)[0].pubDate).toBe('May 2');
+    expect(collectCitedSources('[3]', articles)[0].pubDate).toBeNull();
+  });
+
+  test('returns no sources when nothing is cited', () => {
+    expect(collectCitedSources('No citations here.', articles)).toEqual([]);
+  });
+});
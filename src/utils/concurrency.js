@@ -0,0 +1,18 @@
+// Map over items with at most `limit` calls of `fn` in flight at once.
+// Results keep the input order; a rejected call rejects the whole map, so callers
+// that want per-item failures should catch inside `fn`.
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
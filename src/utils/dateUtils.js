@@ -0,0 +1,9 @@
+// Convert a date string, Date or millisecond timestamp to a millisecond timestamp (null if invalid)
+export function toTimestamp(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  
+  const time = typeof value === 'number' ? value : new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
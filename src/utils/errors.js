@@ -0,0 +1,30 @@
+// An error with an HTTP status, a stable machine-readable code and optional details, rendered by
+// the central error handler as `{ code, message, details, requestId }`. `cause` keeps the underlying
+// error for logs; it is never sent to the client.
+export class ApiError extends Error {
+  constructor(status, code, message, details = null, { cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Map anything thrown by a route, middleware or body parser to an ApiError. Unexpected errors become
+// a generic 500 so internal messages never reach the client.
+export function toApiError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error.type === 'entity.parse.failed') {
+    return new ApiError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+  }
+  if (error.type === 'entity.too.large') {
+    return new ApiError(413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+  }
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new ApiError(error.status, 'BAD_REQUEST', error.message);
+  }
+  return new ApiError(500, 'INTERNAL_ERROR', 'Internal server error');
+}
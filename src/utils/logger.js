@@ -0,0 +1,72 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { v4 as uuidv4 } from 'uuid';
+import winston from 'winston';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+// `json` (one object per line, for log shippers) or `pretty` (colored single lines for local development)
+const LOG_FORMAT = process.env.LOG_FORMAT || 'json';
+
+// Correlation ID of the HTTP request or socket event whose code is currently running
+const correlationStorage = new AsyncLocalStorage();
+
+// Stamp every entry with the active correlation ID, so one answer can be traced end to end
+const addCorrelationId = winston.format((info) => {
+  const correlationId = correlationStorage.getStore()?.correlationId;
+  if (correlationId && !info.correlationId) {
+    info.correlationId = correlationId;
+  }
+  return info;
+});
+
+// Errors passed as `{ error }` metadata would otherwise serialize to {}
+const serializeError = winston.format((info) => {
+  if (info.error instanceof Error) {
+    info.error = { name: info.error.name, message: info.error.message, code: info.error.code, stack: info.error.stack };
+  }
+  return info;
+});
+
+const prettyFormat = winston.format.combine(
+  winston.format.colorize(),
+  winston.format.printf(({ timestamp, level, message, correlationId, ...meta }) => {
+    const correlation = correlationId ? ` [${correlationId}]` : '';
+    const fields = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+    return `${timestamp} ${level}${correlation} ${message}${fields}`;
+  })
+);
+
+const logger = winston.createLogger({
+  level: LOG_LEVEL,
+  format: winston.format.combine(
+    addCorrelationId(),
+    serializeError(),
+    winston.format.timestamp(),
+    LOG_FORMAT === 'pretty' ? prettyFormat : winston.format.json()
+  ),
+  transports: [new winston.transports.Console()],
+  // Jest sets NODE_ENV=test; keep test output to the test results
+  silent: process.env.NODE_ENV === 'test'
+});
+
+// Run `fn` (and everything it awaits) under a correlation ID; a new one is generated when none is given
+export function withCorrelationId(correlationId, fn) {
+  return correlationStorage.run({ correlationId: correlationId || uuidv4() }, fn);
+}
+
+// Correlation ID of the request or socket event being handled, or null outside of one
+export function getCorrelationId() {
+  return correlationStorage.getStore()?.correlationId || null;
+}
+
+// User text (queries, answers) is only logged verbatim at debug level; otherwise just its length
+export function redact(text) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  return logger.isDebugEnabled() ? text : `[redacted ${text.length} chars]`;
+}
+
+export default logger;
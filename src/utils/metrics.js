@@ -0,0 +1,105 @@
+import client from 'prom-client';
+
+// Every metric lives in this registry, rendered by GET /metrics in the Prometheus text format
+export const register = new client.Registry();
+
+// Process CPU, memory, event loop lag and GC, prefixed like the pipeline metrics
+client.collectDefaultMetrics({ register, prefix: 'rag_' });
+
+// Latency buckets in seconds: query embeddings and Qdrant searches take milliseconds to a second,
+// generations take seconds
+const FAST_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const GENERATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+export const embeddingDuration = new client.Histogram({
+  name: 'rag_embedding_duration_seconds',
+  help: 'Time to embed a chat or retrieval query',
+  labelNames: ['provider'],
+  buckets: FAST_BUCKETS,
+  registers: [register]
+});
+
+export const retrievalDuration = new client.Histogram({
+  name: 'rag_retrieval_duration_seconds',
+  help: 'Time to retrieve the top articles for a query, including search and reranking',
+  labelNames: ['mode'],
+  buckets: FAST_BUCKETS,
+  registers: [register]
+});
+
+export const generationFirstTokenDuration = new client.Histogram({
+  name: 'rag_generation_first_token_seconds',
+  help: 'Time from starting a streamed answer to its first chunk',
+  labelNames: ['provider', 'model'],
+  buckets: GENERATION_BUCKETS,
+  registers: [register]
+});
+
+export const generationDuration = new client.Histogram({
+  name: 'rag_generation_duration_seconds',
+  help: 'Time to generate a complete answer',
+  labelNames: ['provider', 'model', 'streaming'],
+  buckets: GENERATION_BUCKETS,
+  registers: [register]
+});
+
+export const chatRequests = new client.Counter({
+  name: 'rag_chat_requests_total',
+  help: 'Chat messages accepted, by transport (rest or socket)',
+  labelNames: ['transport'],
+  registers: [register]
+});
+
+export const emptyRetrievals = new client.Counter({
+  name: 'rag_empty_retrievals_total',
+  help: 'Retrievals that found no articles, answered with "I did not find relevant information" in chat',
+  labelNames: ['mode'],
+  registers: [register]
+});
+
+export const retrievalFailures = new client.Counter({
+  name: 'rag_retrieval_failures_total',
+  help: 'Retrievals that failed because the embedding provider, Qdrant or the keyword index was unavailable',
+  labelNames: ['mode'],
+  registers: [register]
+});
+
+export const llmErrors = new client.Counter({
+  name: 'rag_llm_errors_total',
+  help: 'Failed LLM requests (cancellations excluded), by operation (answer or condense)',
+  labelNames: ['provider', 'operation'],
+  registers: [register]
+});
+
+export const ingestedArticles = new client.Counter({
+  name: 'rag_ingested_articles_total',
+  help: 'New or updated articles embedded and stored, by feed source',
+  labelNames: ['source'],
+  registers: [register]
+});
+
+export const failedArticles = new client.Counter({
+  name: 'rag_failed_articles_total',
+  help: 'Articles left out of an ingestion because their chunks could not be embedded, by feed source',
+  labelNames: ['source'],
+  registers: [register]
+});
+
+export const providerUp = new client.Gauge({
+  name: 'rag_provider_up',
+  help: '1 when the latest real request to the embedding or LLM provider succeeded, 0 when it failed',
+  labelNames: ['kind', 'provider'],
+  registers: [register]
+});
+
+export const activeSocketConnections = new client.Gauge({
+  name: 'rag_active_socket_connections',
+  help: 'Socket.IO connections currently open on this instance',
+  registers: [register]
+});
+
+export const transcriptsSaved = new client.Counter({
+  name: 'rag_transcripts_saved_total',
+  help: 'Chat sessions saved to Postgres as transcripts',
+  registers: [register]
+});
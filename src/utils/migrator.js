@@ -0,0 +1,253 @@
+import { createHash } from 'crypto';
+import { readdir, readFile } from 'fs/promises';
+import { fileURLToPath, pathToFileURL } from 'url';
+import path from 'path';
+import pgPool from './pgClient.js';
+import logger from './logger.js';
+
+// Migration files live in /migrations as `<version>_<name>.js`, exporting async `up(client)` and
+// `down(client)`. Versions are applied in numeric order and recorded in schema_migrations with the
+// file's checksum, so an applied migration that was edited afterwards is caught instead of ignored.
+const MIGRATIONS_DIR = fileURLToPath(new URL('../../migrations/', import.meta.url));
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Session-level advisory lock held while migrating, so instances starting together run one at a time
+const MIGRATION_LOCK_KEY = 824911;
+// Longest to wait for another instance's migration run before giving up
+const MIGRATION_LOCK_TIMEOUT_MS = parseInt(process.env.MIGRATION_LOCK_TIMEOUT_MS) || 60000;
+
+export class MigrationError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'MigrationError';
+    this.details = details;
+  }
+}
+
+const checksum = (content) => createHash('sha256').update(content).digest('hex');
+
+/**
+ * Read every migration file, ordered by version
+ * @returns {Promise<Array<{ version, name, file, checksum, up, down }>>}
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = (await readdir(dir)).filter(file => file.endsWith('.js'));
+  const migrations = [];
+
+  for (const file of files) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) {
+      throw new MigrationError(`Migration file name must look like 001_name.js: ${file}`);
+    }
+
+    const filePath = path.join(dir, file);
+    const module = await import(pathToFileURL(filePath).href);
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new MigrationError(`Migration ${file} must export up(client) and down(client)`);
+    }
+
+    migrations.push({
+      version: parseInt(match[1], 10),
+      name: match[2],
+      file,
+      checksum: checksum(await readFile(filePath)),
+      up: module.up,
+      down: module.down
+    });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new MigrationError(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+    }
+  }
+  return migrations;
+}
+
+/**
+ * Run `fn` with a dedicated client while holding the migration lock. Creates schema_migrations
+ * on first use.
+ */
+async function withMigrationLock(fn) {
+  const client = await pgPool.connect();
+  let locked = false;
+
+  try {
+    await client.query(`SET lock_timeout = ${MIGRATION_LOCK_TIMEOUT_MS}`);
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+      locked = true;
+    } catch (error) {
+      // 55P03: lock_not_available
+      if (error.code === '55P03') {
+        throw new MigrationError(`Another migration run still holds the lock after ${MIGRATION_LOCK_TIMEOUT_MS}ms`);
+      }
+      throw error;
+    }
+    await client.query('RESET lock_timeout');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        execution_ms INTEGER
+      );
+    `);
+
+    return await fn(client);
+  } finally {
+    if (locked) {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(error => {
+        logger.warn('Failed to release the migration lock', { error: error.message });
+      });
+    }
+    client.release();
+  }
+}
+
+/**
+ * Compare the migration files with schema_migrations
+ * @returns {Array<Object>} One entry per version: `{ version, name, status, checksum, appliedAt, executionMs }`
+ *   with status `applied`, `pending`, `changed` (file edited after it was applied) or `missing`
+ *   (applied, but the file is gone)
+ */
+async function readStatus(client, migrations) {
+  const { rows } = await client.query('SELECT version, name, checksum, applied_at, execution_ms FROM schema_migrations');
+  const applied = new Map(rows.map(row => [row.version, row]));
+  const entries = [];
+
+  for (const migration of migrations) {
+    const row = applied.get(migration.version);
+    applied.delete(migration.version);
+    entries.push({
+      version: migration.version,
+      name: migration.name,
+      status: !row ? 'pending' : row.checksum === migration.checksum ? 'applied' : 'changed',
+      checksum: migration.checksum,
+      appliedAt: row?.applied_at ?? null,
+      executionMs: row?.execution_ms ?? null
+    });
+  }
+
+  for (const row of applied.values()) {
+    entries.push({
+      version: row.version,
+      name: row.name,
+      status: 'missing',
+      checksum: row.checksum,
+      appliedAt: row.applied_at,
+      executionMs: row.execution_ms
+    });
+  }
+
+  return entries.sort((a, b) => a.version - b.version);
+}
+
+// Applied migrations must match their files before anything else runs
+function assertConsistent(entries) {
+  const problems = entries.filter(entry => entry.status === 'changed' || entry.status === 'missing');
+  if (problems.length > 0) {
+    const list = problems.map(entry => `${String(entry.version).padStart(3, '0')}_${entry.name} (${entry.status})`).join(', ');
+    throw new MigrationError(`Applied migrations do not match the migration files: ${list}`, problems);
+  }
+}
+
+/**
+ * Run one migration step and its schema_migrations bookkeeping in a single transaction
+ */
+async function runStep(client, migration, direction) {
+  const start = Date.now();
+
+  try {
+    await client.query('BEGIN');
+    await migration[direction](client);
+
+    const executionMs = Date.now() - start;
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+        [migration.version, migration.name, migration.checksum, executionMs]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+
+    logger.debug(direction === 'up' ? 'Applied migration' : 'Reverted migration', {
+      version: migration.version,
+      name: migration.name,
+      executionMs
+    });
+    return { version: migration.version, name: migration.name, executionMs };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw new MigrationError(
+      `Migration ${migration.file} failed (${direction}): ${error.message}`,
+      { version: migration.version, direction }
+    );
+  }
+}
+
+/**
+ * Status of every migration, applied or not
+ * @returns {Promise<Array<Object>>} See readStatus
+ */
+export async function getMigrationStatus() {
+  const migrations = await loadMigrations();
+  return withMigrationLock(client => readStatus(client, migrations));
+}
+
+/**
+ * Apply pending migrations in version order
+ * @param {Object} [options]
+ * @param {number} [options.to] - Stop after this version (default: apply all)
+ * @returns {Promise<Array<{ version, name, executionMs }>>} Migrations applied, in order
+ */
+export async function migrateUp({ to = Infinity } = {}) {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const entries = await readStatus(client, migrations);
+    assertConsistent(entries);
+
+    const pending = new Set(entries.filter(entry => entry.status === 'pending').map(entry => entry.version));
+    const applied = [];
+    for (const migration of migrations) {
+      if (pending.has(migration.version) && migration.version <= to) {
+        applied.push(await runStep(client, migration, 'up'));
+      }
+    }
+    return applied;
+  });
+}
+
+/**
+ * Revert applied migrations, newest first
+ * @param {Object} [options]
+ * @param {number} [options.steps=1] - How many migrations to revert
+ * @param {number} [options.to] - Revert every migration above this version instead (0 reverts all)
+ * @returns {Promise<Array<{ version, name, executionMs }>>} Migrations reverted, in order
+ */
+export async function migrateDown({ steps = 1, to = null } = {}) {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const entries = await readStatus(client, migrations);
+    assertConsistent(entries);
+
+    const appliedVersions = new Set(entries.filter(entry => entry.status === 'applied').map(entry => entry.version));
+    const candidates = migrations.filter(migration => appliedVersions.has(migration.version)).reverse();
+    const targets = to === null
+      ? candidates.slice(0, steps)
+      : candidates.filter(migration => migration.version > to);
+
+    const reverted = [];
+    for (const migration of targets) {
+      reverted.push(await runStep(client, migration, 'down'));
+    }
+    return reverted;
+  });
+}
@@ -0,0 +1,123 @@
+import { jest } from '@jest/globals';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+// A fake pool whose client answers the schema_migrations query with `appliedRows`
+let appliedRows = [];
+const queries = [];
+const client = {
+  query: jest.fn(async (sql, params) => {
+    queries.push({ sql: sql.trim(), params });
+    return { rows: sql.includes('FROM schema_migrations') ? appliedRows : [] };
+  }),
+  release: jest.fn()
+};
+jest.unstable_mockModule('./pgClient.js', () => ({ default: { connect: async () => client } }));
+
+const { loadMigrations, getMigrationStatus, migrateUp, migrateDown, MigrationError } = await import('./migrator.js');
+
+const MIGRATION_SOURCE = 'export const up = async () => {};\nexport const down = async () => {};\n';
+
+describe('loadMigrations', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'migrations-'));
+    // Outside the project, so mark the files as ES modules
+    await writeFile(path.join(dir, 'package.json'), '{ "type": "module" }');
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('orders migrations by numeric version and checksums their content', async () => {
+    await writeFile(path.join(dir, '10_later.js'), MIGRATION_SOURCE);
+    await writeFile(path.join(dir, '2_earlier.js'), MIGRATION_SOURCE);
+    await writeFile(path.join(dir, '3_other.js'), `${MIGRATION_SOURCE}// changed\n`);
+
+    const migrations = await loadMigrations(dir);
+
+    expect(migrations.map(m => [m.version, m.name])).toEqual([[2, 'earlier'], [3, 'other'], [10, 'later']]);
+    migrations.forEach(m => expect(m.checksum).toMatch(/^[0-9a-f]{64}$/));
+    expect(migrations[0].checksum).toBe(migrations[2].checksum);
+    expect(migrations[1].checksum).not.toBe(migrations[0].checksum);
+  });
+
+  test('rejects duplicate versions', async () => {
+    await writeFile(path.join(dir, '001_first.js'), MIGRATION_SOURCE);
+    await writeFile(path.join(dir, '1_again.js'), MIGRATION_SOURCE);
+
+    await expect(loadMigrations(dir)).rejects.toThrow('Duplicate migration version 1');
+  });
+
+  test('rejects badly named files and files without up/down', async () => {
+    await writeFile(path.join(dir, 'first.js'), MIGRATION_SOURCE);
+    await expect(loadMigrations(dir)).rejects.toThrow(MigrationError);
+
+    await rm(path.join(dir, 'first.js'));
+    await writeFile(path.join(dir, '001_first.js'), 'export const up = async () => {};\n');
+    await expect(loadMigrations(dir)).rejects.toThrow('must export up(client) and down(client)');
+  });
+});
+
+describe('drift detection', () => {
+  let migrations;
+  const row = (migration, overrides = {}) => ({
+    version: migration.version,
+    name: migration.name,
+    checksum: migration.checksum,
+    applied_at: new Date('2024-01-01T00:00:00Z'),
+    execution_ms: 5,
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    migrations = await loadMigrations();
+  });
+
+  beforeEach(() => {
+    queries.length = 0;
+  });
+
+  test('reports applied, pending, changed and missing migrations', async () => {
+    const [first, second, ...rest] = migrations;
+    appliedRows = [row(first), row(second, { checksum: 'x'.repeat(64) }), { ...row(first), version: 999, name: 'removed' }];
+
+    const status = await getMigrationStatus();
+
+    expect(status.map(entry => [entry.version, entry.status])).toEqual([
+      [first.version, 'applied'],
+      [second.version, 'changed'],
+      ...rest.map(m => [m.version, 'pending']),
+      [999, 'missing']
+    ]);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('refuses to migrate up or down when an applied file was edited', async () => {
+    appliedRows = [row(migrations[0], { checksum: 'x'.repeat(64) })];
+
+    await expect(migrateUp()).rejects.toThrow(/do not match the migration files: 001_\w+ \(changed\)/);
+    await expect(migrateDown()).rejects.toThrow(MigrationError);
+    expect(queries.some(query => query.sql.startsWith('INSERT INTO schema_migrations'))).toBe(false);
+  });
+
+  test('refuses to migrate when an applied migration file is missing', async () => {
+    appliedRows = [...migrations.map(m => row(m)), { ...row(migrations[0]), version: 999, name: 'removed' }];
+
+    await expect(migrateUp()).rejects.toThrow('999_removed (missing)');
+  });
+
+  test('applies only pending migrations, recording their checksums', async () => {
+    appliedRows = [row(migrations[0])];
+    const pending = migrations.slice(1);
+
+    const applied = await migrateUp();
+
+    expect(applied.map(m => m.version)).toEqual(pending.map(m => m.version));
+    const inserts = queries.filter(query => query.sql.startsWith('INSERT INTO schema_migrations'));
+    expect(inserts.map(query => query.params.slice(0, 3))).toEqual(pending.map(m => [m.version, m.name, m.checksum]));
+  });
+});
@@ -1,162 +1,356 @@
 import dotenv from 'dotenv';
 import { QdrantClient } from '@qdrant/js-client-rest';
 import Parser from 'rss-parser';
-import fs from 'fs';
-import path from 'path';
-import axios from 'axios';
-import { v4 as uuidv4 } from 'uuid';
+import crypto from 'crypto';
+import { v5 as uuidv5 } from 'uuid';
+import { listFeeds, markFeedIngested } from '../services/feedService.js';
+import { embedInBatches, getEmbeddingInfo } from '../services/embeddingService.js';
+import { indexChunks, deleteArticleChunks } from '../services/keywordIndexService.js';
+import { fetchArticleText } from './articleExtractor.js';
+import { chunkText } from './textChunker.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { toTimestamp } from './dateUtils.js';
+import logger from './logger.js';
+import { ingestedArticles, failedArticles } from './metrics.js';
 
 dotenv.config();
 
 const QDRANT_API_KEY = process.env.QDRANT_API_KEY;
 const QDRANT_URL = process.env.QDRANT_URL || 'http://localhost:6333';
 const QDRANT_COLLECTION_NAME = process.env.QDRANT_COLLECTION_NAME || 'news';
-const JINA_API_KEY = process.env.JINA_API_KEY;
-const JINA_API_URL = 'https://api.jina.ai/v1/embeddings';
+
+// Namespace for deriving stable Qdrant point IDs from article GUIDs/links.
+// Changing it re-keys every article, so it must stay fixed.
+const ARTICLE_ID_NAMESPACE = '8f3b6c2e-4d1a-5b7e-9c0f-2a6d8e4b1c35';
+const ARTICLE_FETCH_CONCURRENCY = parseInt(process.env.ARTICLE_FETCH_CONCURRENCY) || 4;
+
+// Payload indexes backing the retrieval filters
+const PAYLOAD_INDEXES = {
+  articleId: 'keyword',
+  // Only used to find points stored before article IDs existed (see deleteArticlePoints)
+  guid: 'keyword',
+  link: 'keyword',
+  feedId: 'keyword',
+  source: 'keyword',
+  categories: 'keyword',
+  pubDate: 'integer',
+  title: 'text',
+  chunk: 'text'
+};
 
 const parser = new Parser();
+const indexedCollections = new Set();
 const qdrant = new QdrantClient({
   url: QDRANT_URL,
   apiKey: QDRANT_API_KEY,
 });
 
-// Function to generate embeddings using Jina API
-async function generateEmbedding(text) {
-  try {
-    const response = await axios.post(
-      JINA_API_URL,
-      {
-        model: 'jina-embeddings-v3',
-        input: [text],
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${JINA_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    return response.data.data[0].embedding;
-  } catch (error) {
-    console.error('Error generating embedding:', error.message);
-    throw error;
-  }
+// Derive a stable point ID from the article's GUID, falling back to its link
+function getArticleId(article) {
+  const key = String(article.guid || article.link || '').trim();
+  return key ? uuidv5(key, ARTICLE_ID_NAMESPACE) : null;
+}
+
+// Derive the point ID of one chunk of an article
+function getChunkId(articleId, chunkIndex) {
+  return uuidv5(`${articleId}:${chunkIndex}`, ARTICLE_ID_NAMESPACE);
+}
+
+// Hash the feed-stable fields of an article so unchanged articles can be skipped. The fetched page
+// text is left out: a failed fetch must not look like a content change.
+function hashContent({ title, link, description, pubDate }) {
+  return crypto.createHash('sha256').update(JSON.stringify([title, link, description, pubDate])).digest('hex');
 }
 
-// Function to extract and process news articles from TOI RSS feed
-async function extractNewsArticles() {
+// Clean an RSS description by removing the CDATA wrapper and HTML tags
+function cleanDescription(article) {
+  // Try different possible description fields
+  const descriptionText = article.description || 
+                         article.content || 
+                         article['content:encoded'] || 
+                         article.summary || 
+                         '';
+  
+  return descriptionText
+    .replace(/^\s*<!\[CDATA\[\s*/, '')
+    .replace(/\s*\]\]>\s*$/, '')
+    .replace(/<[^>]*>/g, '') // Remove HTML tags
+    .trim();
+}
+
+// Function to extract and process news articles from a registered RSS feed.
+// Each article's page is fetched for its full body text, falling back to the RSS
+// description when the page cannot be fetched or has no extractable body.
+// Articles are returned without embeddings; only new or changed ones get embedded later.
+async function extractNewsArticles(feed) {
   try {
-    console.log('Fetching news articles from Times of India RSS feed...');
+    logger.info('Fetching RSS feed', { source: feed.source, url: feed.url });
     
-    const feed = await parser.parseURL('https://timesofindia.indiatimes.com/rssfeedstopstories.cms');
+    const rss = await parser.parseURL(feed.url);
     
-    // Get first 50 articles
-    const articles = feed.items.slice(0, 50);
-    console.log(`Found ${articles.length} articles to process`);
+    // Respect the per-feed item limit
+    const items = rss.items.slice(0, feed.itemLimit);
+    logger.info('Found articles to process', { source: feed.source, count: items.length });
     
-    const processedArticles = [];
+    // Key articles on guid/link, dropping duplicates within the feed
+    const uniqueItems = new Map();
+    for (const item of items) {
+      const id = getArticleId(item);
+      if (!id) {
+        logger.warn('Skipping article without guid or link', { title: item.title });
+        continue;
+      }
+      uniqueItems.set(id, item);
+    }
     
-    for (let i = 0; i < articles.length; i++) {
-      const article = articles[i];
-      console.log(`Processing article ${i + 1}/${articles.length}: ${article.title}`);
+    const articles = await mapWithConcurrency([...uniqueItems], ARTICLE_FETCH_CONCURRENCY, async ([id, item], i) => {
+      logger.debug('Processing article', { index: i + 1, total: uniqueItems.size, title: item.title });
       
-      try {
-        // Extract description from various possible fields and clean CDATA wrapper
-        let cleanDescription = '';
-        
-        // Try different possible description fields
-        const descriptionText = article.description || 
-                               article.content || 
-                               article['content:encoded'] || 
-                               article.summary || 
-                               '';
-        
-        if (descriptionText) {
-          // Clean description by removing CDATA wrapper and HTML tags
-          cleanDescription = descriptionText
-            .replace(/^\s*<!\[CDATA\[\s*/, '')
-            .replace(/\s*\]\]>\s*$/, '')
-            .replace(/<[^>]*>/g, '') // Remove HTML tags
-            .trim();
-        }
-        
-        // Combine title and description for embedding
-        const textToEmbed = `${article.title || ''} ${cleanDescription}`.trim();
-        
-        if (!textToEmbed) {
-          console.log(`Skipping article ${i + 1} - no text content`);
-          continue;
-        }
-        
-        // Generate embedding
-        const embedding = await generateEmbedding(textToEmbed);
-        
-        // Prepare article data
-        const articleData = {
-          id: uuidv4(),
-          vector: embedding,
-          payload: {
-            title: article.title || '',
-            description: cleanDescription,
-            link: article.link || '',
-            guid: article.guid || '',
-            pubDate: article.pubDate || '',
-            creator: article['dc:creator'] || article.creator || '',
-            enclosure: article.enclosure || null,
-            categories: article.categories || [],
-            source: 'Times of India',
-            rssUrl: 'https://timesofindia.indiatimes.com/rssfeedstopstories.cms',
-            processedAt: new Date().toISOString(),
-            textContent: textToEmbed
-          }
-        };
-        
-        processedArticles.push(articleData);
-        
-        // Add small delay to avoid overwhelming the API
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
-      } catch (error) {
-        console.error(`Error processing article ${i + 1}:`, error.message);
-        continue; // Skip this article and continue with the next
+      const title = (item.title || '').trim();
+      const description = cleanDescription(item);
+      const fullText = item.link ? await fetchArticleText(item.link) : null;
+      const body = fullText || description;
+      
+      if (!title && !body) {
+        logger.warn('Skipping article without text content', { index: i + 1, title: item.title });
+        return null;
       }
-    }
+      
+      return {
+        id,
+        contentHash: hashContent({ title, link: item.link || '', description, pubDate: item.pubDate || '' }),
+        body,
+        payload: {
+          articleId: id,
+          title,
+          description,
+          link: item.link || '',
+          guid: item.guid || '',
+          // Numeric so retrieval can apply date range filters; the feed's original string is kept alongside
+          pubDate: toTimestamp(item.pubDate),
+          pubDateText: item.pubDate || '',
+          creator: item['dc:creator'] || item.creator || '',
+          enclosure: item.enclosure || null,
+          categories: [...new Set([...(item.categories || []), ...(feed.categories || [])])],
+          source: feed.source,
+          feedId: feed.id,
+          rssUrl: feed.url,
+          fullText: Boolean(fullText)
+        }
+      };
+    });
     
-    console.log(`Successfully processed ${processedArticles.length} articles`);
+    const processedArticles = articles.filter(Boolean);
+    logger.info('Processed articles', { source: feed.source, count: processedArticles.length });
     return processedArticles;
     
   } catch (error) {
-    console.error('Error extracting news articles:', error);
+    logger.error('Error extracting news articles', { error });
     throw error;
   }
 }
 
-// Function to store articles in Qdrant
-async function storeArticlesInQdrant(articles) {
+// Split an article into overlapping chunks, each carrying the parent article's metadata
+function buildArticleChunks(article) {
+  const chunks = chunkText(article.body);
+  const texts = chunks.length > 0 ? chunks : [article.payload.title];
+  
+  return texts.map((chunk, chunkIndex) => ({
+    id: getChunkId(article.id, chunkIndex),
+    // The title is embedded with every chunk so each one stays anchored to its story
+    textToEmbed: `${article.payload.title}\n\n${chunk}`.trim(),
+    payload: {
+      ...article.payload,
+      chunk,
+      chunkIndex,
+      chunkCount: texts.length
+    }
+  }));
+}
+
+// Create the payload indexes used by retrieval filters (once per collection per process)
+async function ensurePayloadIndexes(collectionName) {
+  if (indexedCollections.has(collectionName)) {
+    return;
+  }
+  
+  for (const [field, schema] of Object.entries(PAYLOAD_INDEXES)) {
+    const fieldSchema = schema === 'text'
+      ? { type: 'text', tokenizer: 'word', lowercase: true }
+      : schema;
+    await qdrant.createPayloadIndex(collectionName, { field_name: field, field_schema: fieldSchema, wait: true });
+  }
+  
+  indexedCollections.add(collectionName);
+}
+
+// Create the collection if it does not exist yet, sized for the configured embedding provider
+async function ensureCollection(collectionName = QDRANT_COLLECTION_NAME) {
+  const { dimension, model } = await getEmbeddingInfo();
+  let collection = null;
+  
   try {
-    console.log(`Storing ${articles.length} articles in Qdrant...`);
-    
-    // Check if collection exists, create if not
-    try {
-      await qdrant.getCollection(QDRANT_COLLECTION_NAME);
-      console.log(`Collection '${QDRANT_COLLECTION_NAME}' exists`);
-    } catch (error) {
-      console.log(`Creating collection '${QDRANT_COLLECTION_NAME}'...`);
-      await qdrant.createCollection(QDRANT_COLLECTION_NAME, {
-        vectors: {
-          size: 1024, // Jina embeddings dimension
-          distance: 'Cosine'
-        }
-      });
+    collection = await qdrant.getCollection(collectionName);
+  } catch (error) {
+    logger.info('Creating collection', { collection: collectionName, dimension });
+    await qdrant.createCollection(collectionName, {
+      vectors: {
+        size: dimension,
+        distance: 'Cosine'
+      }
+    });
+  }
+  
+  const existingSize = collection?.config?.params?.vectors?.size;
+  if (existingSize && existingSize !== dimension) {
+    throw new Error(
+      `Collection '${collectionName}' stores ${existingSize}-dimension vectors but ${model} produces ${dimension}. ` +
+      'Use a different QDRANT_COLLECTION_NAME or recreate the collection.'
+    );
+  }
+  
+  await ensurePayloadIndexes(collectionName);
+}
+
+// Split articles into new, updated and unchanged by comparing content hashes with
+// the stored first chunk of each article. Articles embedded with a different model count as updated,
+// and so do articles stored from their RSS description whose page can now be fetched. An article
+// stored with full text is never replaced while its page cannot be fetched; it is retried next run.
+async function classifyArticles(articles) {
+  const { model } = await getEmbeddingInfo();
+  const existing = await qdrant.retrieve(QDRANT_COLLECTION_NAME, {
+    ids: articles.map(article => getChunkId(article.id, 0)),
+    with_payload: ['articleId', 'contentHash', 'embeddingModel', 'fullText'],
+    with_vector: false
+  });
+  
+  const stored = new Map(existing.map(point => [point.payload?.articleId, point.payload]));
+  const classified = { new: [], updated: [], unchanged: [] };
+  
+  for (const article of articles) {
+    const payload = stored.get(article.id);
+    if (!payload) {
+      classified.new.push(article);
+    } else if (payload.fullText && !article.payload.fullText) {
+      classified.unchanged.push(article);
+    } else if (payload.contentHash !== article.contentHash || payload.embeddingModel !== model || (article.payload.fullText && !payload.fullText)) {
+      classified.updated.push(article);
+    } else {
+      classified.unchanged.push(article);
+    }
+  }
+  
+  return classified;
+}
+
+// Embedding metadata recorded on every stored point
+function embeddingPayload(embeddingInfo) {
+  return {
+    embeddingProvider: embeddingInfo.provider,
+    embeddingModel: embeddingInfo.model,
+    embeddingDimension: embeddingInfo.dimension,
+    processedAt: new Date().toISOString()
+  };
+}
+
+// Embed every chunk of the given articles through the batched embedding pipeline.
+// An article whose chunks cannot all be embedded is reported as failed and left out entirely.
+async function embedArticles(articles, onProgress = () => {}) {
+  const embeddingInfo = await getEmbeddingInfo();
+  const chunksByArticle = articles.map(buildArticleChunks);
+  
+  // Flatten all chunks into one input list, remembering which article each belongs to
+  const inputs = chunksByArticle.flatMap((chunks, articleIndex) =>
+    chunks.map(chunk => ({ articleIndex, chunk }))
+  );
+  const remaining = chunksByArticle.map(chunks => chunks.length);
+  const articleFailed = new Array(articles.length).fill(false);
+  
+  logger.info('Embedding chunks', { chunkCount: inputs.length, articleCount: articles.length });
+  
+  const { vectors } = await embedInBatches(inputs.map(input => input.chunk.textToEmbed), {
+    // Report an article as soon as all of its chunks have a final result
+    onResult: (index, vector) => {
+      const { articleIndex } = inputs[index];
+      articleFailed[articleIndex] = articleFailed[articleIndex] || !vector;
+      remaining[articleIndex] -= 1;
+      if (remaining[articleIndex] === 0) {
+        onProgress({ type: 'articles', ...(articleFailed[articleIndex] ? { failed: 1 } : { processed: 1 }) });
+      }
+    }
+  });
+  
+  const embedded = [];
+  const failed = [];
+  let offset = 0;
+  
+  articles.forEach((article, articleIndex) => {
+    const chunks = chunksByArticle[articleIndex];
+    const chunkVectors = vectors.slice(offset, offset + chunks.length);
+    offset += chunks.length;
+    
+    if (articleFailed[articleIndex]) {
+      logger.error('Error embedding article', { articleId: article.id, failedChunks: chunkVectors.filter(v => !v).length, chunkCount: chunks.length });
+      failed.push(article);
+      return;
     }
     
+    const metadata = embeddingPayload(embeddingInfo);
+    embedded.push({
+      articleId: article.id,
+      guid: article.payload.guid,
+      link: article.payload.link,
+      points: chunks.map((chunk, i) => ({
+        id: chunk.id,
+        vector: chunkVectors[i],
+        payload: { ...chunk.payload, contentHash: article.contentHash, ...metadata }
+      }))
+    });
+  });
+  
+  return { embedded, failed };
+}
+
+// Remove every stored point of the given articles (`{ articleId, guid, link }`). Besides chunks,
+// this matches the two older point layouts: unchunked points keyed by the article ID, and the
+// first ingestions' points with random IDs and no articleId. Those are found by the GUID, or
+// the link for articles without one, that the article ID is derived from.
+async function deleteArticlePoints(articles) {
+  if (articles.length === 0) {
+    return;
+  }
+  
+  const articleIds = articles.map(article => article.articleId);
+  const guids = articles.map(article => article.guid).filter(Boolean);
+  const links = articles.filter(article => !article.guid && article.link).map(article => article.link);
+  
+  const should = [
+    { key: 'articleId', match: { any: articleIds } },
+    { has_id: articleIds }
+  ];
+  if (guids.length > 0) {
+    should.push({ key: 'guid', match: { any: guids } });
+  }
+  if (links.length > 0) {
+    should.push({ key: 'link', match: { any: links } });
+  }
+  
+  await qdrant.delete(QDRANT_COLLECTION_NAME, { wait: true, filter: { should } });
+}
+
+// Function to store embedded articles in Qdrant, replacing any chunks stored for a previous version
+async function storeArticlesInQdrant(articles) {
+  try {
+    logger.info('Storing articles in Qdrant', { articleCount: articles.length });
+    
+    await ensureCollection();
+    
+    // Drop old chunks first so an article that shrank does not keep stale trailing chunks
+    await deleteArticlePoints(articles);
+    await deleteArticleChunks(articles.map(article => article.articleId));
+    
     // Prepare points for batch upsert
-    const points = articles.map(article => ({
-      id: article.id,
-      vector: article.vector,
-      payload: article.payload
-    }));
+    const points = articles.flatMap(article => article.points);
     
     // Upsert points in batches of 10 to avoid memory issues
     const batchSize = 10;
@@ -166,43 +360,124 @@ async function storeArticlesInQdrant(articles) {
         wait: true,
         points: batch
       });
-      console.log(`Stored batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(points.length / batchSize)}`);
+      logger.debug('Stored batch', { batch: Math.floor(i / batchSize) + 1, batches: Math.ceil(points.length / batchSize) });
     }
     
-    console.log(`Successfully stored ${articles.length} articles in Qdrant`);
-    return { success: true, count: articles.length };
+    // Mirror the chunks into the keyword index used by hybrid retrieval
+    await indexChunks(points);
+    
+    logger.info('Stored articles in Qdrant', { articleCount: articles.length, chunkCount: points.length });
+    return { success: true, count: articles.length, chunkCount: points.length };
     
   } catch (error) {
-    console.error('Error storing articles in Qdrant:', error);
+    logger.error('Error storing articles in Qdrant', { error });
     throw error;
   }
 }
 
-// Main function to extract and store news articles
-export async function ingestNewsArticles() {
+// Ingest a single feed and report its result
+async function ingestFeed(feed, onProgress = () => {}) {
+  const result = { feedId: feed.id, source: feed.source, url: feed.url, new: 0, updated: 0, unchanged: 0, failed: 0 };
+  
   try {
-    console.log('Starting news ingestion process...');
-    
-    // Extract articles from RSS feed
-    const articles = await extractNewsArticles();
+    onProgress({ type: 'phase', phase: 'fetching', feed });
+    const articles = await extractNewsArticles(feed);
     
     if (articles.length === 0) {
-      console.log('No articles to process');
-      return { success: false, message: 'No articles found' };
+      logger.info('No articles to process for feed', { source: feed.source });
+      return { ...result, success: false, count: 0, message: 'No articles found' };
+    }
+    
+    await ensureCollection();
+    const classified = await classifyArticles(articles);
+    const changed = [...classified.new, ...classified.updated];
+    logger.info('Classified feed articles', { source: feed.source, new: classified.new.length, updated: classified.updated.length, unchanged: classified.unchanged.length });
+    onProgress({ type: 'articles', processed: classified.unchanged.length });
+    
+    onProgress({ type: 'phase', phase: 'embedding', feed });
+    const { embedded, failed } = await embedArticles(changed, onProgress);
+    
+    if (embedded.length > 0) {
+      onProgress({ type: 'phase', phase: 'storing', feed });
+      await storeArticlesInQdrant(embedded);
     }
     
-    // Store articles in Qdrant
-    const result = await storeArticlesInQdrant(articles);
+    await markFeedIngested(feed.id);
     
-    console.log('News ingestion completed successfully!');
+    const failedIds = new Set(failed.map(article => article.id));
+    result.new = classified.new.filter(article => !failedIds.has(article.id)).length;
+    result.updated = classified.updated.filter(article => !failedIds.has(article.id)).length;
+    result.unchanged = classified.unchanged.length;
+    result.failed = failed.length;
+    ingestedArticles.inc({ source: feed.source }, embedded.length);
+    failedArticles.inc({ source: feed.source }, failed.length);
+    
+    return { ...result, success: true, count: embedded.length };
+  } catch (error) {
+    logger.error('Ingestion failed for feed', { source: feed.source, error });
+    return { ...result, success: false, count: 0, error: error.message };
+  }
+}
+
+// Main function to extract and store news articles from the feed registry.
+// Ingests every enabled feed, or only the feeds listed in `feedIds` (enabled or not).
+// Re-running is idempotent: articles are keyed on guid/link and only re-embedded when their content changes.
+// `onProgress` receives phase, article count and feed completion events for job status tracking.
+export async function ingestNewsArticles({ feedIds = null, onProgress = () => {} } = {}) {
+  try {
+    logger.info('Starting news ingestion');
+    
+    const feeds = feedIds
+      ? await listFeeds({ ids: feedIds })
+      : await listFeeds({ enabledOnly: true });
+    
+    const feedResults = [];
+    
+    // Report requested feeds that are not in the registry
+    if (feedIds) {
+      const knownIds = new Set(feeds.map(feed => feed.id));
+      for (const feedId of feedIds) {
+        if (!knownIds.has(feedId)) {
+          feedResults.push({ feedId, success: false, count: 0, error: 'Feed not found' });
+        }
+      }
+    }
+    
+    if (feeds.length === 0) {
+      logger.info('No feeds to ingest');
+      return { success: false, message: 'No feeds to ingest', count: 0, feeds: feedResults };
+    }
+    
+    onProgress({ type: 'feeds', total: feeds.length });
+    
+    // Feeds are ingested one after another to keep embedding API usage predictable
+    for (const feed of feeds) {
+      const feedResult = await ingestFeed(feed, onProgress);
+      feedResults.push(feedResult);
+      onProgress({ type: 'feed-complete', result: feedResult });
+    }
+    
+    const totals = { new: 0, updated: 0, unchanged: 0, failed: 0 };
+    for (const result of feedResults) {
+      for (const key of Object.keys(totals)) {
+        totals[key] += result[key] || 0;
+      }
+    }
+    
+    const count = feedResults.reduce((total, result) => total + result.count, 0);
+    const succeeded = feedResults.filter(result => result.success).length;
+    
+    logger.info('News ingestion completed');
     return {
-      success: true,
-      message: `Successfully ingested ${result.count} news articles`,
-      count: result.count
+      success: succeeded > 0,
+      message: `Ingested ${count} news articles (${totals.new} new, ${totals.updated} updated, ${totals.unchanged} unchanged) from ${succeeded}/${feedResults.length} feeds`,
+      count,
+      ...totals,
+      feeds: feedResults
     };
     
   } catch (error) {
-    console.error('News ingestion failed:', error);
+    logger.error('News ingestion failed', { error });
     return {
       success: false,
       message: `News ingestion failed: ${error.message}`,
@@ -211,9 +486,73 @@ export async function ingestNewsArticles() {
   }
 }
 
-// Export helper functions for testing
-export { extractNewsArticles, storeArticlesInQdrant, generateEmbedding };
-
-
+// Re-embed every stored chunk with the configured embedding provider, using the same batched
+// pipeline as ingestion. Points are written to `targetCollection`, which may be the source
+// collection itself (same dimension) or a new one (e.g. when switching to a model of another size).
+export async function reindexCollection({ targetCollection = QDRANT_COLLECTION_NAME, onProgress = () => {} } = {}) {
+  const pageSize = 256;
+  const result = { success: true, sourceCollection: QDRANT_COLLECTION_NAME, targetCollection, reindexed: 0, failed: 0 };
+  
+  try {
+    logger.info('Reindexing collection', { source: QDRANT_COLLECTION_NAME, target: targetCollection });
+    await ensureCollection(targetCollection);
+    const embeddingInfo = await getEmbeddingInfo();
+    onProgress({ type: 'phase', phase: 'reindexing' });
+    
+    let offset = null;
+    do {
+      const page = await qdrant.scroll(QDRANT_COLLECTION_NAME, {
+        limit: pageSize,
+        offset: offset ?? undefined,
+        with_payload: true,
+        with_vector: false
+      });
+      
+      // Same text as ingestion embeds; points stored before chunking only have textContent
+      const texts = page.points.map(point =>
+        point.payload.chunk !== undefined
+          ? `${point.payload.title || ''}\n\n${point.payload.chunk}`.trim()
+          : point.payload.textContent || point.payload.title || ''
+      );
+      const { vectors, failed } = await embedInBatches(texts);
+      const metadata = embeddingPayload(embeddingInfo);
+      
+      const points = page.points
+        .map((point, i) => ({
+          id: point.id,
+          vector: vectors[i],
+          // Also migrates string dates from older ingestions to numeric timestamps for range filters
+          payload: {
+            ...point.payload,
+            pubDate: toTimestamp(point.payload.pubDate),
+            pubDateText: point.payload.pubDateText ?? (typeof point.payload.pubDate === 'string' ? point.payload.pubDate : ''),
+            ...metadata
+          }
+        }))
+        .filter(point => point.vector);
+      
+      for (let i = 0; i < points.length; i += 100) {
+        await qdrant.upsert(targetCollection, { wait: true, points: points.slice(i, i + 100) });
+      }
+      // Also backfills the keyword index for chunks stored before it existed
+      await indexChunks(points);
+      
+      result.reindexed += points.length;
+      result.failed += failed.length;
+      onProgress({ type: 'points', processed: points.length, failed: failed.length });
+      logger.info('Reindexed points', { reindexed: result.reindexed, failed: result.failed });
+      
+      offset = page.next_page_offset;
+    } while (offset !== null && offset !== undefined);
+    
+    result.message = `Reindexed ${result.reindexed} points into '${targetCollection}' (${result.failed} failed)`;
+    return result;
+  } catch (error) {
+    logger.error('Reindexing failed', { error });
+    return { ...result, success: false, message: `Reindexing failed: ${error.message}`, error: error.message };
+  }
+}
 
+// Export helper functions for testing
+export { extractNewsArticles, storeArticlesInQdrant, getArticleId, hashContent, buildArticleChunks };
 
@@ -0,0 +1,127 @@
+import { jest } from '@jest/globals';
+
+// In-memory stand-in for the Qdrant collection: point ID -> { id, vector, payload }
+const points = new Map();
+
+const matches = (point, condition) => {
+  if (condition.has_id) {
+    return condition.has_id.includes(point.id);
+  }
+  return condition.match.any.includes(point.payload[condition.key]);
+};
+
+class FakeQdrantClient {
+  async getCollection() {
+    return { config: { params: { vectors: { size: 3 } } } };
+  }
+  async createPayloadIndex() {}
+  async retrieve(collection, { ids }) {
+    return ids.filter(id => points.has(id)).map(id => ({ id, payload: points.get(id).payload }));
+  }
+  async delete(collection, { filter }) {
+    for (const point of [...points.values()]) {
+      if (filter.should.some(condition => matches(point, condition))) {
+        points.delete(point.id);
+      }
+    }
+  }
+  async upsert(collection, { points: batch }) {
+    batch.forEach(point => points.set(point.id, point));
+  }
+}
+
+const feed = { id: 'feed-1', source: 'Example', url: 'https://example.com/rss', itemLimit: 10, categories: [] };
+const item = {
+  guid: 'story-1',
+  link: 'https://example.com/story-1',
+  title: 'Monsoon reaches Kerala',
+  description: 'Short summary from the feed.',
+  pubDate: 'Mon, 03 Jun 2024 10:00:00 GMT'
+};
+const FULL_TEXT = 'The monsoon reached Kerala two days early this year, the weather office said. '.repeat(5).trim();
+
+const fetchArticleText = jest.fn();
+const embedInBatches = jest.fn(async (texts, { onResult } = {}) => {
+  const vectors = texts.map(() => [0.1, 0.2, 0.3]);
+  vectors.forEach((vector, i) => onResult?.(i, vector));
+  return { vectors, failed: [] };
+});
+
+jest.unstable_mockModule('@qdrant/js-client-rest', () => ({ QdrantClient: FakeQdrantClient }));
+jest.unstable_mockModule('rss-parser', () => ({
+  default: class {
+    async parseURL() {
+      return { items: [item] };
+    }
+  }
+}));
+jest.unstable_mockModule('./articleExtractor.js', () => ({ fetchArticleText }));
+jest.unstable_mockModule('../services/feedService.js', () => ({
+  listFeeds: async () => [feed],
+  markFeedIngested: async () => {}
+}));
+jest.unstable_mockModule('../services/embeddingService.js', () => ({
+  embedInBatches,
+  getEmbeddingInfo: async () => ({ provider: 'local', model: 'test-model', dimension: 3 })
+}));
+jest.unstable_mockModule('../services/keywordIndexService.js', () => ({
+  indexChunks: async () => {},
+  deleteArticleChunks: async () => {}
+}));
+
+const { ingestNewsArticles } = await import('./newsIngestion.js');
+
+const embeddedTexts = () => embedInBatches.mock.calls.flatMap(([texts]) => texts);
+
+const storedChunks = () => [...points.values()]
+  .sort((a, b) => a.payload.chunkIndex - b.payload.chunkIndex)
+  .map(point => ({ id: point.id, chunk: point.payload.chunk, fullText: point.payload.fullText }));
+
+describe('ingestNewsArticles', () => {
+  beforeEach(() => {
+    points.clear();
+    embedInBatches.mockClear();
+    fetchArticleText.mockReset();
+  });
+
+  test('keeps stored full-text chunks when the article page cannot be fetched on a later run', async () => {
+    fetchArticleText.mockResolvedValue(FULL_TEXT);
+    const first = await ingestNewsArticles();
+    const stored = storedChunks();
+
+    expect(first.new).toBe(1);
+    expect(stored[0].fullText).toBe(true);
+
+    fetchArticleText.mockResolvedValue(null);
+    embedInBatches.mockClear();
+    const second = await ingestNewsArticles();
+
+    expect(second).toMatchObject({ new: 0, updated: 0, unchanged: 1 });
+    expect(embeddedTexts()).toEqual([]);
+    expect(storedChunks()).toEqual(stored);
+  });
+
+  test('skips an unchanged article on a later run', async () => {
+    fetchArticleText.mockResolvedValue(FULL_TEXT);
+    await ingestNewsArticles();
+    embedInBatches.mockClear();
+
+    const second = await ingestNewsArticles();
+
+    expect(second).toMatchObject({ new: 0, updated: 0, unchanged: 1 });
+    expect(embeddedTexts()).toEqual([]);
+  });
+
+  test('replaces a description-only article once its page can be fetched', async () => {
+    fetchArticleText.mockResolvedValue(null);
+    await ingestNewsArticles();
+    expect(storedChunks()).toEqual([expect.objectContaining({ chunk: item.description, fullText: false })]);
+
+    fetchArticleText.mockResolvedValue(FULL_TEXT);
+    const second = await ingestNewsArticles();
+
+    expect(second).toMatchObject({ new: 0, updated: 1, unchanged: 0 });
+    expect(storedChunks().every(chunk => chunk.fullText)).toBe(true);
+    expect(storedChunks().map(chunk => chunk.chunk).join(' ')).toContain('two days early');
+  });
+});
@@ -1,5 +1,6 @@
 import pg from 'pg';
 import dotenv from 'dotenv';
+import logger from './logger.js';
 
 dotenv.config();
 
@@ -15,9 +16,6 @@ if (process.env.DATABASE_URL) {
         const isProduction = process.env.NODE_ENV === 'production' || 
                             process.env.DATABASE_URL.includes('render.com');
         
-        console.log('Parsing DATABASE_URL manually, isProduction:', isProduction);
-        console.log('Parsed hostname:', dbUrl.hostname);
-        
         pgConfig = {
             host: dbUrl.hostname,
             port: parseInt(dbUrl.port) || 5432,
@@ -32,7 +30,7 @@ if (process.env.DATABASE_URL) {
             connectionTimeoutMillis: 10000,
         };
         
-        console.log('PostgreSQL Config (parsed):', {
+        logger.info('PostgreSQL config parsed from DATABASE_URL', {
             host: pgConfig.host,
             port: pgConfig.port,
             database: pgConfig.database,
@@ -41,7 +39,7 @@ if (process.env.DATABASE_URL) {
         });
         
     } catch (parseErr) {
-        console.error('Failed to parse DATABASE_URL:', parseErr);
+        logger.error('Failed to parse DATABASE_URL', { error: parseErr });
         throw parseErr;
     }
 } else {
@@ -62,27 +60,11 @@ if (process.env.DATABASE_URL) {
 const pgPool = new Pool(pgConfig);
 
 pgPool.on('error', (err) => {
-    console.error('PostgreSQL Pool Error:', err);
+    logger.error('PostgreSQL Pool Error', { error: err });
 });
 
 pgPool.on('connect', () => {
-    console.log('Connected to PostgreSQL successfully');
+    logger.debug('Opened PostgreSQL connection');
 });
 
-// Test connection
-const testConnection = async () => {
-    try {
-        console.log('Testing PostgreSQL connection...');
-        const client = await pgPool.connect();
-        const result = await client.query('SELECT NOW()');
-        console.log('PostgreSQL connection test successful:', result.rows[0]);
-        client.release();
-    } catch (err) {
-        console.error('PostgreSQL connection test failed:', err.message);
-        console.error('Error code:', err.code);
-    }
-};
-
-setTimeout(testConnection, 1000);
-
 export default pgPool;
\ No newline at end of file
@@ -0,0 +1,52 @@
+import { providerUp } from './metrics.js';
+
+// Outcome of the latest real request to the embedding and LLM providers. Readiness reports these
+// without gating on them, so probes never make paid provider calls and an upstream blip does not
+// take every instance out of the load balancer at once.
+const status = {
+  embedding: null,
+  llm: null
+};
+
+/**
+ * Record a successful provider request
+ * @param {string} kind - `embedding` or `llm`
+ * @param {string} provider - Provider name
+ * @param {number} latencyMs - How long the request took, retries included
+ */
+export function recordProviderSuccess(kind, provider, latencyMs) {
+  status[kind] = { ...status[kind], provider, status: 'up', latencyMs, lastSuccessAt: new Date().toISOString() };
+  providerUp.set({ kind, provider }, 1);
+}
+
+/**
+ * Record a failed provider request (after retries; cancellations are not failures)
+ * @param {string} kind - `embedding` or `llm`
+ * @param {string} provider - Provider name
+ * @param {Error} error - Failure
+ * @param {number} latencyMs - How long the request took before failing, retries included
+ */
+export function recordProviderFailure(kind, provider, error, latencyMs) {
+  status[kind] = {
+    ...status[kind],
+    provider,
+    status: 'down',
+    latencyMs,
+    lastFailureAt: new Date().toISOString(),
+    lastError: error.message
+  };
+  providerUp.set({ kind, provider }, 0);
+}
+
+/**
+ * Latest known provider outcomes
+ * @returns {Object} `{ embedding, llm }`, each `{ provider, status, latencyMs, lastSuccessAt?, lastFailureAt?, lastError? }`
+ *   where latencyMs is the duration of the latest request
+ *   or `{ status: 'unknown' }` before the first request
+ */
+export function getProviderStatus() {
+  return {
+    embedding: status.embedding ?? { status: 'unknown' },
+    llm: status.llm ?? { status: 'unknown' }
+  };
+}
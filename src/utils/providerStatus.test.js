@@ -0,0 +1,27 @@
+import { recordProviderSuccess, recordProviderFailure, getProviderStatus } from './providerStatus.js';
+
+describe('providerStatus', () => {
+  test('reports unknown before the first request', () => {
+    expect(getProviderStatus()).toEqual({ embedding: { status: 'unknown' }, llm: { status: 'unknown' } });
+  });
+
+  test('reports the outcome and latency of the latest request', () => {
+    recordProviderSuccess('embedding', 'jina', 120);
+    expect(getProviderStatus().embedding).toEqual({
+      provider: 'jina',
+      status: 'up',
+      latencyMs: 120,
+      lastSuccessAt: expect.any(String)
+    });
+
+    recordProviderFailure('embedding', 'jina', new Error('Request failed with status code 503'), 3400);
+    expect(getProviderStatus().embedding).toMatchObject({
+      status: 'down',
+      latencyMs: 3400,
+      lastError: 'Request failed with status code 503',
+      lastFailureAt: expect.any(String),
+      lastSuccessAt: expect.any(String)
+    });
+    expect(getProviderStatus().llm).toEqual({ status: 'unknown' });
+  });
+});
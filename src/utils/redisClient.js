@@ -1,5 +1,6 @@
 import { createClient } from 'redis';
 import dotenv from 'dotenv';
+import logger from './logger.js';
 
 dotenv.config();
 
@@ -9,14 +10,17 @@ const redisClient = createClient({
 });
 
 redisClient.on('error', (err) => {
-    console.error('Redis Client Error:', err);
+    logger.error('Redis Client Error', { error: err });
 });
 
 redisClient.on('connect', () => {
-    console.log('Connected to Redis');
+    logger.info('Connected to Redis');
 });
 
-// Connect to Redis
-await redisClient.connect();
+// Connect in the background: commands queue until the connection is ready, and an unreachable Redis
+// shows up in /ready instead of crashing the import
+redisClient.connect().catch((err) => {
+    logger.error('Failed to connect to Redis', { error: err });
+});
 
 export default redisClient;
\ No newline at end of file
@@ -0,0 +1,55 @@
+import logger from './logger.js';
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rate limits, server errors and dropped connections are worth retrying; other 4xx errors are not
+export function isRetryableHttpError(error) {
+  const status = error.response?.status ?? error.status;
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+// Delay requested by a Retry-After header (seconds or HTTP date), if any
+function getRetryAfterMs(error) {
+  const retryAfter = error.response?.headers?.['retry-after'];
+  if (!retryAfter) {
+    return null;
+  }
+  
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) {
+    return seconds * 1000;
+  }
+  
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+// Call `fn` until it succeeds, retrying retryable errors with exponential backoff and jitter.
+// A Retry-After header from the server takes precedence over the computed delay.
+export async function withRetry(fn, {
+  retries = 4,
+  baseDelayMs = 500,
+  maxDelayMs = 30000,
+  isRetryable = isRetryableHttpError,
+  label = 'request'
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+      
+      const backoff = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+      const delay = getRetryAfterMs(error) ?? backoff / 2 + Math.random() * backoff / 2;
+      logger.warn(`Retrying ${label}`, { delayMs: Math.round(delay), attempt: attempt + 1, retries, error: error.message });
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,52 @@
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// Whether a chat request asked for a text/event-stream response (`stream: true` or an SSE Accept header)
+export function wantsEventStream(req) {
+  return req.body?.stream === true || (req.headers.accept || '').includes('text/event-stream');
+}
+
+// Switch an Express response to Server-Sent Events. Writes after the client disconnects are
+// dropped, and `closed` tells the caller the client is gone.
+export function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stop nginx and similar proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const stream = {
+    closed: false,
+    send(event, data) {
+      if (stream.closed) {
+        return;
+      }
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (stream.closed) {
+        return;
+      }
+      stream.closed = true;
+      clearInterval(heartbeat);
+      res.end();
+    }
+  };
+
+  // Comment lines keep idle connections open while retrieval runs before the first chunk
+  const heartbeat = setInterval(() => {
+    if (!stream.closed) {
+      res.write(': keep-alive\n\n');
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  res.on('close', () => {
+    stream.closed = true;
+    clearInterval(heartbeat);
+  });
+
+  return stream;
+}
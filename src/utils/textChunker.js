@@ -0,0 +1,61 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Unset or non-numeric settings fall back to the default; 0 is kept, so CHUNK_OVERLAP=0 turns overlap off
+function readIntSetting(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? defaultValue : value;
+}
+
+const CHUNK_SIZE = readIntSetting('CHUNK_SIZE', 1000); // characters
+const CHUNK_OVERLAP = readIntSetting('CHUNK_OVERLAP', 200); // characters
+
+// Fail at startup rather than on the first article ingested
+if (CHUNK_SIZE < 1 || CHUNK_OVERLAP < 0 || CHUNK_OVERLAP >= CHUNK_SIZE) {
+  throw new Error(`Invalid chunking settings: CHUNK_SIZE (${CHUNK_SIZE}) must be positive and CHUNK_OVERLAP (${CHUNK_OVERLAP}) between 0 and CHUNK_SIZE - 1`);
+}
+
+// Split text into chunks of at most `chunkSize` characters on word boundaries.
+// Consecutive chunks share up to `chunkOverlap` characters so sentences cut at a
+// boundary still appear whole in one of the two chunks.
+export function chunkText(text, { chunkSize = CHUNK_SIZE, chunkOverlap = CHUNK_OVERLAP } = {}) {
+  if (chunkOverlap >= chunkSize) {
+    throw new Error('Chunk overlap must be smaller than chunk size');
+  }
+  
+  const words = (text || '').split(/\s+/).filter(Boolean);
+  const chunks = [];
+  let start = 0;
+  
+  while (start < words.length) {
+    // Grow the chunk until the next word would exceed the size (a single oversized word still forms a chunk)
+    let end = start;
+    let length = 0;
+    while (end < words.length) {
+      const added = words[end].length + (end > start ? 1 : 0);
+      if (end > start && length + added > chunkSize) {
+        break;
+      }
+      length += added;
+      end++;
+    }
+    
+    chunks.push(words.slice(start, end).join(' '));
+    
+    if (end >= words.length) {
+      break;
+    }
+    
+    // Step back from the end to cover the overlap, always moving forward by at least one word
+    let overlapStart = end;
+    let overlapLength = 0;
+    while (overlapStart > start + 1 && overlapLength + words[overlapStart - 1].length + 1 <= chunkOverlap) {
+      overlapStart--;
+      overlapLength += words[overlapStart].length + 1;
+    }
+    start = overlapStart;
+  }
+  
+  return chunks;
+}
@@ -0,0 +1,56 @@
+import { chunkText } from './textChunker.js';
+
+const words = (count) => Array.from({ length: count }, (_, i) => `word${i}`).join(' ');
+
+describe('chunkText', () => {
+  test('returns no chunks for empty or missing text', () => {
+    expect(chunkText('')).toEqual([]);
+    expect(chunkText(null)).toEqual([]);
+    expect(chunkText('   \n\t ')).toEqual([]);
+  });
+
+  test('keeps short text in a single chunk and collapses whitespace', () => {
+    expect(chunkText('a  short\n\ntext', { chunkSize: 100, chunkOverlap: 10 })).toEqual(['a short text']);
+  });
+
+  test('never exceeds the chunk size', () => {
+    const chunks = chunkText(words(200), { chunkSize: 50, chunkOverlap: 10 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(50));
+  });
+
+  test('repeats the tail of each chunk at the start of the next', () => {
+    const chunks = chunkText(words(100), { chunkSize: 60, chunkOverlap: 20 });
+
+    for (let i = 1; i < chunks.length; i++) {
+      const previous = chunks[i - 1].split(' ');
+      const current = chunks[i].split(' ');
+      expect(previous).toContain(current[0]);
+      expect(current[0]).not.toBe(previous[0]);
+    }
+  });
+
+  test('produces disjoint chunks covering every word when overlap is 0', () => {
+    const text = words(100);
+    const chunks = chunkText(text, { chunkSize: 60, chunkOverlap: 0 });
+
+    expect(chunks.join(' ')).toBe(text);
+  });
+
+  test('keeps a word longer than the chunk size as its own chunk', () => {
+    const long = 'x'.repeat(30);
+    expect(chunkText(`a ${long} b`, { chunkSize: 10, chunkOverlap: 2 })).toEqual(['a', long, 'b']);
+  });
+
+  test('always moves forward even when the overlap could cover a whole chunk', () => {
+    const chunks = chunkText(words(20), { chunkSize: 12, chunkOverlap: 11 });
+
+    expect(chunks.length).toBeLessThan(40);
+    expect(chunks[chunks.length - 1]).toContain('word19');
+  });
+
+  test('rejects an overlap that is not smaller than the chunk size', () => {
+    expect(() => chunkText('text', { chunkSize: 10, chunkOverlap: 10 })).toThrow('Chunk overlap must be smaller than chunk size');
+  });
+});
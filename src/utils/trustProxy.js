@@ -0,0 +1,20 @@
+// Translate TRUST_PROXY into Express's `trust proxy` setting: `true`/`false` as booleans, a
+// number of proxy hops (0 trusts none), or a comma-separated list of addresses, subnets and
+// the presets Express knows (loopback, linklocal, uniquelocal). Unset or blank returns undefined.
+export function parseTrustProxy(value) {
+  const setting = (value ?? '').trim();
+  
+  if (setting === '') {
+    return undefined;
+  }
+  if (setting.toLowerCase() === 'true') {
+    return true;
+  }
+  if (setting.toLowerCase() === 'false') {
+    return false;
+  }
+  if (/^\d+$/.test(setting)) {
+    return parseInt(setting, 10);
+  }
+  return setting.split(',').map(entry => entry.trim()).filter(Boolean);
+}
@@ -0,0 +1,45 @@
+import express from 'express';
+import { parseTrustProxy } from './trustProxy.js';
+
+// Whether Express trusts the proxy at 10.0.0.1 one hop away from the server
+const trustsHop = (setting) => {
+  const app = express();
+  if (setting !== undefined) {
+    app.set('trust proxy', setting);
+  }
+  return app.get('trust proxy fn')('10.0.0.1', 1);
+};
+
+describe('parseTrustProxy', () => {
+  test('leaves the setting off when unset or blank', () => {
+    expect(parseTrustProxy(undefined)).toBeUndefined();
+    expect(parseTrustProxy('')).toBeUndefined();
+    expect(parseTrustProxy('  ')).toBeUndefined();
+  });
+
+  test('parses true and false as booleans', () => {
+    expect(parseTrustProxy('true')).toBe(true);
+    expect(parseTrustProxy('TRUE')).toBe(true);
+    expect(parseTrustProxy('false')).toBe(false);
+  });
+
+  test('parses all-digit values as a hop count, including 0', () => {
+    expect(parseTrustProxy('0')).toBe(0);
+    expect(parseTrustProxy('1')).toBe(1);
+    expect(parseTrustProxy(' 2 ')).toBe(2);
+  });
+
+  test('keeps anything else as a list of addresses and subnets', () => {
+    expect(parseTrustProxy('loopback')).toEqual(['loopback']);
+    expect(parseTrustProxy('10.0.0.0/8, 192.168.1.1,')).toEqual(['10.0.0.0/8', '192.168.1.1']);
+  });
+
+  test('gives Express the intended trust decision', () => {
+    expect(trustsHop(parseTrustProxy('0'))).toBe(false);
+    expect(trustsHop(parseTrustProxy('2'))).toBe(true);
+    expect(trustsHop(parseTrustProxy('true'))).toBe(true);
+    expect(trustsHop(parseTrustProxy('false'))).toBe(false);
+    expect(trustsHop(parseTrustProxy('10.0.0.0/8'))).toBe(true);
+    expect(trustsHop(parseTrustProxy('192.168.0.0/16'))).toBe(false);
+  });
+});
@@ -0,0 +1,203 @@
+import Joi from 'joi';
+import dotenv from 'dotenv';
+import { RETRIEVAL_MODES } from '../services/retrieverService.js';
+import { RERANKER_NAMES } from '../services/rerankService.js';
+
+dotenv.config();
+
+// Longest chat or retrieval query accepted, in characters
+const MAX_QUERY_LENGTH = parseInt(process.env.MAX_QUERY_LENGTH) || 2000;
+const MAX_FILTER_VALUES = 50;
+const MAX_RERANK_CANDIDATES = 50;
+
+/*
+ * Building blocks
+ */
+
+const uuid = Joi.string().guid();
+
+const query = Joi.string().trim().min(1).max(MAX_QUERY_LENGTH);
+
+// ISO date string or millisecond timestamp, normalized later by normalizeFilters
+const dateValue = Joi.alternatives().try(
+    Joi.number().integer().min(0),
+    Joi.string().isoDate()
+);
+
+const stringList = Joi.array().items(Joi.string().trim().min(1).max(200)).max(MAX_FILTER_VALUES);
+
+const retrievalOptions = {
+    mode: Joi.string().valid(...RETRIEVAL_MODES),
+    filters: Joi.object({
+        publishedAfter: dateValue,
+        publishedBefore: dateValue,
+        sources: stringList,
+        categories: stringList,
+        keywords: stringList
+    }).allow(null),
+    rerank: Joi.object({
+        reranker: Joi.string().valid(...RERANKER_NAMES),
+        candidates: Joi.number().integer().min(1).max(MAX_RERANK_CANDIDATES),
+        mmr: Joi.boolean(),
+        lambda: Joi.number().min(0).max(1)
+    }).allow(null)
+};
+
+const promptOptions = {
+    prompt: Joi.object({
+        id: Joi.string().trim().min(1).max(100),
+        version: Joi.number().integer().min(1),
+        language: Joi.string().trim().min(1).max(50)
+    }).allow(null)
+};
+
+const pagination = (maxLimit, defaultLimit) => ({
+    limit: Joi.number().integer().min(1).max(maxLimit).default(defaultLimit),
+    offset: Joi.number().integer().min(0).default(0)
+});
+
+const feedFields = {
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000),
+    source: Joi.string().trim().min(1).max(255),
+    name: Joi.string().trim().min(1).max(255),
+    categories: Joi.array().items(Joi.string().trim().min(1).max(100)).max(MAX_FILTER_VALUES),
+    itemLimit: Joi.number().integer().min(1).max(1000),
+    enabled: Joi.boolean()
+};
+
+/*
+ * REST schemas, as `{ body, params, query }` for the validate middleware
+ */
+
+export const retrieveSchema = {
+    body: Joi.object({ query: query.required(), ...retrievalOptions })
+};
+
+export const chatSchema = {
+    body: Joi.object({
+        query: query.required(),
+        debug: Joi.boolean().default(false),
+        cache: Joi.boolean().default(true),
+        stream: Joi.boolean(),
+        ...retrievalOptions,
+        ...promptOptions
+    })
+};
+
+export const cancelGenerationSchema = {
+    params: Joi.object({ messageId: uuid.required() })
+};
+
+export const sessionParamsSchema = {
+    params: Joi.object({ sessionId: uuid.required() })
+};
+
+export const sessionChatSchema = {
+    params: Joi.object({ sessionId: uuid.required() }),
+    body: Joi.object({
+        query: query.required(),
+        cache: Joi.boolean().default(true),
+        stream: Joi.boolean(),
+        ...retrievalOptions,
+        ...promptOptions
+    })
+};
+
+export const transcriptListSchema = {
+    query: Joi.object(pagination(100, 50))
+};
+
+export const transcriptSearchSchema = {
+    query: Joi.object({
+        q: query.required(),
+        endedAfter: dateValue,
+        endedBefore: dateValue,
+        minMessages: Joi.number().integer().min(1),
+        ...pagination(100, 50)
+    })
+};
+
+export const ingestNewsSchema = {
+    body: Joi.object({ feedIds: Joi.array().items(uuid).min(1).max(100) })
+};
+
+export const reindexSchema = {
+    body: Joi.object({ targetCollection: Joi.string().trim().min(1).max(255).pattern(/^[\w.-]+$/) })
+};
+
+export const ingestionJobParamsSchema = {
+    params: Joi.object({ jobId: uuid.required() })
+};
+
+export const feedListSchema = {
+    query: Joi.object({ enabled: Joi.boolean() })
+};
+
+export const feedParamsSchema = {
+    params: Joi.object({ feedId: uuid.required() })
+};
+
+export const createFeedSchema = {
+    body: Joi.object({
+        ...feedFields,
+        url: feedFields.url.required(),
+        source: feedFields.source.required()
+    })
+};
+
+export const updateFeedSchema = {
+    params: Joi.object({ feedId: uuid.required() }),
+    body: Joi.object(feedFields).min(1)
+};
+
+export const quotaParamsSchema = {
+    params: Joi.object({ userId: Joi.string().min(1).max(255).required() })
+};
+
+export const updateQuotaSchema = {
+    params: Joi.object({ userId: Joi.string().min(1).max(255).required() }),
+    body: Joi.object({ dailyMessages: Joi.number().integer().min(0).required() })
+};
+
+/*
+ * Socket.IO event payloads
+ */
+
+export const joinSessionEventSchema = Joi.object({ sessionId: uuid.allow(null) }).allow(null);
+
+export const chatMessageEventSchema = Joi.object({
+    query: query.required(),
+    streaming: Joi.boolean().default(true),
+    cache: Joi.boolean().default(true),
+    // Sent by older clients; the socket's joined session is always used
+    sessionId: uuid,
+    ...retrievalOptions,
+    ...promptOptions
+});
+
+export const cancelGenerationEventSchema = Joi.object({ messageId: uuid.required() });
+
+export const cleanupSessionsEventSchema = Joi.object({
+    sessions: Joi.array().items(uuid).max(50).required(),
+    reason: Joi.string().max(100)
+});
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - Joi schema
+ * @param {*} value - Value to validate
+ * @returns {Object} `{ value }` with defaults applied and strings trimmed, or `{ error }` with
+ *   `{ message, details }` where details lists `{ path, message }` per problem
+ */
+export const validateSchema = (schema, value) => {
+    const result = schema.validate(value, { abortEarly: false, convert: true });
+    if (!result.error) {
+        return { value: result.value };
+    }
+
+    const details = result.error.details.map(detail => ({
+        path: detail.path.join('.'),
+        message: detail.message.replace(/"/g, '')
+    }));
+    return { error: { message: details[0].message, details } };
+};
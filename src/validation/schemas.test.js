@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+
+// schemas.js reads the retrieval modes from retrieverService, which must not reach out to Qdrant
+jest.unstable_mockModule('@qdrant/js-client-rest', () => ({ QdrantClient: class {} }));
+
+const {
+    validateSchema,
+    chatSchema,
+    retrieveSchema,
+    sessionChatSchema,
+    transcriptSearchSchema,
+    updateQuotaSchema,
+    chatMessageEventSchema
+} = await import('./schemas.js');
+const { validate } = await import('../middleware/validate.js');
+
+const paths = (result) => result.error.details.map(detail => detail.path);
+
+describe('chat and retrieval schemas', () => {
+    test('trims the query and applies defaults', () => {
+        expect(validateSchema(chatSchema.body, { query: '  latest news  ' }).value)
+            .toEqual({ query: 'latest news', debug: false, cache: true });
+    });
+
+    test('accepts every retrieval option', () => {
+        const { value, error } = validateSchema(retrieveSchema.body, {
+            query: 'monsoon',
+            mode: 'hybrid',
+            filters: { publishedAfter: '2024-06-01', publishedBefore: 1717200000000, sources: [' BBC '], keywords: ['rain'] },
+            rerank: { reranker: 'lexical', candidates: 50, mmr: true, lambda: 0 }
+        });
+
+        expect(error).toBeUndefined();
+        expect(value.filters.sources).toEqual(['BBC']);
+        expect(value.rerank).toEqual({ reranker: 'lexical', candidates: 50, mmr: true, lambda: 0 });
+    });
+
+    test('reports every problem with its path', () => {
+        const result = validateSchema(chatSchema.body, {
+            query: '   ',
+            mode: 'semantic',
+            filters: { publishedAfter: 'yesterday', colour: 'red' },
+            rerank: { candidates: 51, lambda: 1.5, reranker: 'magic' },
+            prompt: { version: 0 }
+        });
+
+        expect(paths(result).sort()).toEqual([
+            'filters.colour',
+            'filters.publishedAfter',
+            'mode',
+            'prompt.version',
+            'query',
+            'rerank.candidates',
+            'rerank.lambda',
+            'rerank.reranker'
+        ]);
+        expect(result.error.message).toBe(result.error.details[0].message);
+        expect(result.error.message).not.toContain('"');
+    });
+
+    test('rejects a query over MAX_QUERY_LENGTH and unknown fields', () => {
+        expect(paths(validateSchema(chatSchema.body, { query: 'x'.repeat(2001) }))).toEqual(['query']);
+        expect(paths(validateSchema(chatSchema.body, { query: 'hi', extra: true }))).toEqual(['extra']);
+    });
+
+    test('requires a UUID session ID', () => {
+        expect(paths(validateSchema(sessionChatSchema.params, { sessionId: 'abc' }))).toEqual(['sessionId']);
+    });
+});
+
+describe('other schemas', () => {
+    test('converts query string values for transcript search', () => {
+        expect(validateSchema(transcriptSearchSchema.query, { q: 'rain', minMessages: '2', limit: '10' }).value)
+            .toEqual({ q: 'rain', minMessages: 2, limit: 10, offset: 0 });
+        expect(paths(validateSchema(transcriptSearchSchema.query, { q: 'rain', limit: '500' }))).toEqual(['limit']);
+    });
+
+    test('requires a non-negative integer quota', () => {
+        expect(validateSchema(updateQuotaSchema.body, { dailyMessages: 0 }).value).toEqual({ dailyMessages: 0 });
+        expect(paths(validateSchema(updateQuotaSchema.body, { dailyMessages: -1 }))).toEqual(['dailyMessages']);
+    });
+
+    test('defaults socket chat messages to streaming with the cache on', () => {
+        expect(validateSchema(chatMessageEventSchema, { query: 'hi' }).value).toEqual({ query: 'hi', streaming: true, cache: true });
+    });
+});
+
+describe('validate middleware', () => {
+    test('replaces request parts with validated values', () => {
+        const req = { body: { query: ' hi ' } };
+        const next = jest.fn();
+
+        validate(chatSchema)(req, {}, next);
+
+        expect(next).toHaveBeenCalledWith();
+        expect(req.body).toEqual({ query: 'hi', debug: false, cache: true });
+    });
+
+    test('rejects with a VALIDATION_ERROR listing each problem and where it is', () => {
+        const next = jest.fn();
+
+        validate(sessionChatSchema)({ params: { sessionId: 'abc' }, body: { query: 'hi' } }, {}, next);
+
+        expect(next.mock.calls[0][0]).toMatchObject({
+            status: 400,
+            code: 'VALIDATION_ERROR',
+            details: [{ location: 'params', path: 'sessionId', message: expect.any(String) }]
+        });
+    });
+});